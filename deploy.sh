@@ -54,9 +54,17 @@ echo -e "${GREEN}Functions deployed successfully!${NC}"
 
 # Reminder about metafields
 echo -e "${YELLOW}IMPORTANT: Make sure the following metafields are defined in your Shopify store:${NC}"
-echo "1. custom.rebate (json_string) - Stores rebate credits by month"
+echo "1. custom.credit_ledger (json) - Store credit transaction ledger"
 echo "2. custom.revenu_track (json_string) - Tracks revenue by month"
 echo "3. custom.revenu (number_decimal) - Tracks total revenue"
+echo "4. custom.processed_orders (json_string) - Orders, cancellations and refunds already processed"
+echo "5. custom.reversed_orders (json_string) - Revenue already reversed per order"
+echo "6. custom.available_balance (number_decimal) - Credits available to spend"
+echo "7. custom.pending_balance (number_decimal) - Credits earned but not yet available"
+echo "8. custom.tier_progress (json) - Spend this month towards the next tier"
+echo "9. custom.credit_expirations (json) - Credits still to expire, when the program has an expiry"
+echo "With B2B pooling, define these on companies or company locations too, and on companies:"
+echo "10. store-credit.permissions (json) - Which company members may redeem pooled credits"
 
 echo -e "${GREEN}Deployment complete! Your Store Credit app is now ready to use.${NC}"
 echo "Remember to activate the discount function in your Shopify Admin under Apps > Functions."
@@ -3,10 +3,25 @@
  * 
  * This script connects our custom app with the Shopify Admin interface,
  * allowing store owners to manage store credits directly from the Shopify Admin.
+ *
+ * Staff look a customer up in the adjustment form (#store-credit-adjustment-form,
+ * with customerId, amount, direction, reason and note fields) to see their balance
+ * and history in #store-credit-customer-history, then add or remove credit. Each adjustment is confirmed in a modal
+ * and sent to the webhook server's /api/ endpoints with an App Bridge session
+ * token, which identifies the staff member making it.
  */
 
 import { createApp } from '@shopify/app-bridge';
 import { Modal, Toast, TitleBar, Button } from '@shopify/app-bridge/actions';
+import { getSessionToken } from '@shopify/app-bridge/utilities';
+
+// Labels of the adjustment reason codes accepted by the webhook server
+export const ADJUSTMENT_REASONS = {
+  goodwill: 'Goodwill',
+  correction: 'Correction',
+  fraud: 'Fraud clawback',
+  other: 'Other',
+};
 
 // Initialize App Bridge
 export function initializeAppBridge() {
@@ -18,19 +33,153 @@ export function initializeAppBridge() {
   return shopifyAppBridge;
 }
 
-// Create a modal for managing store credits
-export function createStoreCreditsModal(app) {
+// Create a modal that confirms an adjustment before it is made
+export function createStoreCreditsModal(app, adjustment, onConfirm) {
+  const isRemoval = adjustment.amount < 0;
+  const amount = Math.abs(adjustment.amount).toFixed(2);
+  const confirmButton = Button.create(app, isRemoval
+    ? { label: 'Remove credits', style: Button.Style.Danger }
+    : { label: 'Add credits' });
+  const cancelButton = Button.create(app, { label: 'Cancel' });
+
   const modalOptions = {
     title: 'Manage Store Credits',
-    message: 'Adjust customer store credits and view transaction history.',
-    size: Modal.Size.Large,
+    message: `${isRemoval ? 'Remove' : 'Add'} ${amount} store credits ${isRemoval ? 'from' : 'to'} customer ${adjustment.customerId} (${ADJUSTMENT_REASONS[adjustment.reason]})?`,
+    size: Modal.Size.Small,
+    footer: {
+      buttons: {
+        primary: confirmButton,
+        secondary: [cancelButton],
+      },
+    },
   };
 
   const modal = Modal.create(app, modalOptions);
-  
+
+  confirmButton.subscribe(Button.Action.CLICK, () => {
+    modal.dispatch(Modal.Action.CLOSE);
+    onConfirm();
+  });
+  cancelButton.subscribe(Button.Action.CLICK, () => {
+    modal.dispatch(Modal.Action.CLOSE);
+  });
+
   return modal;
 }
 
+// Call the webhook server's admin API with the current staff member's session token
+async function requestAdminApi(app, path, options = {}) {
+  const token = await getSessionToken(app);
+  const response = await fetch(`/api${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${token}`,
+    },
+  });
+  const body = await response.json();
+
+  if (!response.ok) {
+    throw new Error(body.errors ? body.errors.join(', ') : body.error);
+  }
+
+  return body;
+}
+
+// Fetch a customer's balances and credit history
+export function getCustomerCredits(app, customerId) {
+  return requestAdminApi(app, `/customers/${encodeURIComponent(customerId)}/credits`);
+}
+
+// Add credit to a customer, or remove it with a negative amount
+export function submitAdjustment(app, adjustment) {
+  return requestAdminApi(app, `/customers/${encodeURIComponent(adjustment.customerId)}/adjustments`, {
+    method: 'POST',
+    body: JSON.stringify({
+      id: adjustment.id,
+      amount: adjustment.amount,
+      reason: adjustment.reason,
+      note: adjustment.note,
+    }),
+  });
+}
+
+// Show a customer's balances and their latest ledger entries next to the form
+export function renderCustomerCredits(container, credits) {
+  if (!container) {
+    return;
+  }
+
+  const balances = document.createElement('p');
+  balances.textContent = `Available: ${Number(credits.availableBalance || 0).toFixed(2)} ${credits.currency} · Pending: ${Number(credits.pendingBalance || 0).toFixed(2)} ${credits.currency}`;
+
+  const history = document.createElement('ul');
+  credits.entries.slice().reverse().slice(0, 50).forEach((entry) => {
+    const item = document.createElement('li');
+    const details = entry.type === 'adjust'
+      ? `${ADJUSTMENT_REASONS[entry.reason] || entry.reason}${entry.note ? `: ${entry.note}` : ''} (staff ${entry.staffId})`
+      : entry.orderId ? `order ${entry.orderId}` : '';
+
+    item.textContent = `${entry.createdAt.slice(0, 10)} ${entry.type} ${entry.amount} ${details}`;
+    history.appendChild(item);
+  });
+
+  container.replaceChildren(balances, history);
+}
+
+// Wire the adjustment form: look customers up, confirm adjustments and submit them
+export function setupAdjustmentForm(app, form) {
+  const history = document.getElementById('store-credit-customer-history');
+
+  const loadCustomer = async () => {
+    const customerId = form.elements.customerId.value.trim();
+
+    if (!customerId) {
+      return;
+    }
+
+    try {
+      renderCustomerCredits(history, await getCustomerCredits(app, customerId));
+    } catch (error) {
+      showToast(app, error.message, true);
+    }
+  };
+
+  form.elements.customerId.addEventListener('change', loadCustomer);
+
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+
+    const amount = parseFloat(form.elements.amount.value);
+    const adjustment = {
+      // One ID per confirmed form, so a retried request is recorded once
+      id: crypto.randomUUID(),
+      customerId: form.elements.customerId.value.trim(),
+      amount: form.elements.direction.value === 'remove' ? -amount : amount,
+      reason: form.elements.reason.value,
+      note: form.elements.note.value,
+    };
+
+    if (!adjustment.customerId || !(amount > 0)) {
+      showToast(app, 'Enter a customer ID and an amount greater than zero', true);
+      return;
+    }
+
+    const modal = createStoreCreditsModal(app, adjustment, async () => {
+      try {
+        const result = await submitAdjustment(app, adjustment);
+        showToast(app, `Credits adjusted. Available balance: ${result.available.toFixed(2)}`);
+        form.elements.amount.value = '';
+        form.elements.note.value = '';
+        await loadCustomer();
+      } catch (error) {
+        showToast(app, `Adjustment failed: ${error.message}`, true);
+      }
+    });
+    modal.dispatch(Modal.Action.OPEN);
+  });
+}
+
 // Create a toast notification
 export function showToast(app, message, isError = false) {
   const toastOptions = {
@@ -56,8 +205,11 @@ export function createTitleBar(app) {
   
   // Add event listener to primary button
   titleBarOptions.buttons.primary.subscribe(Button.Action.CLICK, () => {
-    const modal = createStoreCreditsModal(app);
-    modal.dispatch(Modal.Action.OPEN);
+    const form = document.getElementById('store-credit-adjustment-form');
+    if (form) {
+      form.scrollIntoView();
+      form.elements.customerId.focus();
+    }
   });
   
   return titleBar;
@@ -68,6 +220,11 @@ document.addEventListener('DOMContentLoaded', () => {
   try {
     const app = initializeAppBridge();
     createTitleBar(app);
+
+    const form = document.getElementById('store-credit-adjustment-form');
+    if (form) {
+      setupAdjustmentForm(app, form);
+    }
     
     console.log('Store Credit App Bridge initialized successfully');
   } catch (error) {
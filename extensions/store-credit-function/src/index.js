@@ -4,13 +4,59 @@
  * This function applies store credits as a discount during checkout with the following rules:
  * 1. Maximum 20% of the order total can be used as store credits
  * 2. Credits from the current month cannot be used (only previous months)
- * 3. Credits never expire
+ * 3. Credits never expire, unless the program sets an expiry (expired credits are written off
+ *    by the webhook's monthly rollover, so they are already gone from available_balance)
+ * 4. Nothing can be used while the balance is negative, after a refund took back credits that
+ *    were already spent, until later credits pay it off (or the program writes it off)
+ * 5. When the program pools B2B credits, a buyer purchasing for a company spends the balance of
+ *    the company or company location pool, if the company's store-credit.permissions metafield
+ *    lets them redeem (see the webhook's pooling.js)
+ *
+ * The cap and the availability delay come from the credit program configuration in the
+ * store-credit.config shop metafield (see the webhook's config.js for the schema); the values
+ * above are the defaults.
+ *
+ * Months are calendar months in the shop's timezone, taken from the shop's local time rather than
+ * the function runtime's clock.
+ *
+ * Credits are held in the shop currency while the cart is priced in the buyer's presentment
+ * currency. Available credits are converted with the cart's presentment currency rate before they
+ * are compared with the cart total, and the discount message states the credits used in shop
+ * currency, which is what the order webhook debits.
  */
 
+// Defaults for settings missing from the credit program configuration
+const DEFAULT_REDEMPTION_CAP_PERCENTAGE = 20;
+const DEFAULT_AVAILABILITY_DELAY_MONTHS = 1;
+
 // Input schema for the function
 const INPUT_SCHEMA = {
   "type": "object",
   "properties": {
+    "presentmentCurrencyRate": {
+      "type": "string"
+    },
+    "shop": {
+      "type": "object",
+      "properties": {
+        "config": {
+          "type": "object",
+          "properties": {
+            "value": {
+              "type": "string"
+            }
+          }
+        },
+        "localTime": {
+          "type": "object",
+          "properties": {
+            "date": {
+              "type": "string"
+            }
+          }
+        }
+      }
+    },
     "cart": {
       "type": "object",
       "properties": {
@@ -60,6 +106,61 @@ const INPUT_SCHEMA = {
                   }
                 }
               }
+            },
+            "purchasingCompany": {
+              "type": "object",
+              "properties": {
+                "company": {
+                  "type": "object",
+                  "properties": {
+                    "id": {
+                      "type": "string"
+                    },
+                    "metafields": {
+                      "type": "array",
+                      "items": {
+                        "type": "object",
+                        "properties": {
+                          "namespace": {
+                            "type": "string"
+                          },
+                          "key": {
+                            "type": "string"
+                          },
+                          "value": {
+                            "type": "string"
+                          }
+                        }
+                      }
+                    }
+                  }
+                },
+                "location": {
+                  "type": "object",
+                  "properties": {
+                    "id": {
+                      "type": "string"
+                    },
+                    "metafields": {
+                      "type": "array",
+                      "items": {
+                        "type": "object",
+                        "properties": {
+                          "namespace": {
+                            "type": "string"
+                          },
+                          "key": {
+                            "type": "string"
+                          },
+                          "value": {
+                            "type": "string"
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
             }
           }
         },
@@ -167,58 +268,59 @@ export function run(input) {
       return noDiscountResponse;
     }
 
-    // Parse the store credits to apply
+    // Parse the store credits to apply, in shop currency
     const storeCreditsToApply = parseFloat(storeCreditsAttribute.value);
     if (isNaN(storeCreditsToApply) || storeCreditsToApply <= 0) {
       return noDiscountResponse;
     }
 
-    // Get customer metafields to verify available credits
-    const rebateMetafield = customer.metafields?.find(
-      metafield => metafield.namespace === "custom" && metafield.key === "rebate"
-    );
+    // Today's date in the shop's timezone, e.g. "2025-01-31"
+    const shopDate = input.shop?.localTime?.date || new Date().toISOString().slice(0, 10);
+
+    const config = parseConfig(input.shop?.config?.value);
 
-    if (!rebateMetafield || !rebateMetafield.value) {
+    // Pooled credits are held by the company or location, and only members allowed to redeem may spend them
+    const creditMetafields = getCreditMetafields(customer, cart.buyerIdentity.purchasingCompany, config.pooling);
+    if (!creditMetafields) {
       return noDiscountResponse;
     }
 
-    // Parse the rebate data
-    const rebateData = JSON.parse(rebateMetafield.value);
-    
-    // Calculate available credits (excluding current month)
-    const currentDate = new Date();
-    const currentMonth = currentDate.getMonth();
-    const currentYear = currentDate.getFullYear();
-    
-    let availableCredits = 0;
-    
-    Object.entries(rebateData).forEach(([yearMonth, amount]) => {
-      const [year, month] = yearMonth.split('-').map(Number);
-      
-      // Check if this credit is from a previous month (can be used now)
-      if (year < currentYear || (year === currentYear && month < currentMonth)) {
-        availableCredits += parseFloat(amount);
-      }
-    });
+    // Get the credit metafields to verify available credits
+    const availableCredits = calculateAvailableCredits(creditMetafields, shopDate, config.availabilityDelayMonths);
+
+    // A negative balance is owed to the shop, not spendable
+    if (availableCredits <= 0) {
+      return noDiscountResponse;
+    }
 
-    // Calculate maximum credits that can be used (20% of cart total)
+    // Presentment currency units per unit of shop currency (1 when the buyer pays in shop currency)
+    const presentmentRate = parseFloat(input.presentmentCurrencyRate) || 1;
+
+    // Calculate maximum discount that can be given (20% of cart total by default), in the cart's currency
     const cartTotal = parseFloat(cart.cost.totalAmount.amount);
-    const maxCreditsForOrder = cartTotal * 0.2;
+    const maxDiscountForOrder = cartTotal * config.redemptionCapPercentage / 100;
     
-    // Determine credits to use (minimum of available credits, requested credits, and max allowed)
-    const creditsToUse = Math.min(availableCredits, storeCreditsToApply, maxCreditsForOrder);
+    // Determine the discount (minimum of available credits, requested credits, and max allowed)
+    const discountAmount = Math.floor(Math.min(
+      availableCredits * presentmentRate,
+      storeCreditsToApply * presentmentRate,
+      maxDiscountForOrder
+    ) * 100) / 100;
     
-    if (creditsToUse <= 0) {
+    if (discountAmount <= 0) {
       return noDiscountResponse;
     }
 
+    // The credits the discount uses up, in shop currency
+    const creditsToUse = Math.min(discountAmount / presentmentRate, availableCredits, storeCreditsToApply);
+
     // Apply the discount to the cart
     return {
       discountApplicationStrategy: "FIRST",
       discounts: [{
         value: {
           fixedAmount: {
-            amount: creditsToUse.toString()
+            amount: discountAmount.toFixed(2)
           }
         },
         targets: [{
@@ -234,3 +336,168 @@ export function run(input) {
     return noDiscountResponse;
   }
 }
+
+/**
+ * Get the metafields holding the buyer's credits: the pool's when the program pools credits and
+ * the buyer is purchasing for a company, otherwise the customer's own
+ *
+ * Returns null when the company's permissions don't let this customer redeem pooled credits.
+ */
+function getCreditMetafields(customer, purchasingCompany, pooling) {
+  const company = purchasingCompany?.company;
+
+  if (!pooling || !company) {
+    return customer.metafields || [];
+  }
+
+  if (!canRedeemPooledCredits(company.metafields || [], customer.id)) {
+    return null;
+  }
+
+  const pool = pooling === "location" && purchasingCompany.location ? purchasingCompany.location : company;
+  return pool.metafields || [];
+}
+
+/**
+ * Check the company's store-credit.permissions metafield: every member may redeem unless it says
+ * "none", or "selected" without listing the customer
+ */
+function canRedeemPooledCredits(companyMetafields, customerId) {
+  const permissionsMetafield = companyMetafields.find(
+    metafield => metafield.namespace === "store-credit" && metafield.key === "permissions"
+  );
+
+  if (!permissionsMetafield || !permissionsMetafield.value) {
+    return true;
+  }
+
+  let permissions;
+  try {
+    permissions = JSON.parse(permissionsMetafield.value);
+  } catch (error) {
+    // Unreadable permissions allow nobody rather than everybody
+    console.error('Error parsing store credit permissions:', error);
+    return false;
+  }
+
+  if (permissions.redemption === "selected") {
+    // Customer IDs may be listed as numeric IDs or GIDs
+    const id = String(customerId).split('/').pop();
+    return (permissions.customerIds || []).some(customerId => String(customerId).split('/').pop() === id);
+  }
+
+  return permissions.redemption !== "none";
+}
+
+/**
+ * Calculate the credits available to spend
+ *
+ * The webhook keeps the available_balance metafield up to date on every change and at the start of
+ * each month, so that is the authoritative number once it has been written. It is below zero while
+ * the customer owes clawed-back credits. Until it is written, ledger entries count once their
+ * availableAt date has been reached. availableAt is written with the shop's UTC offset, so its
+ * date part is the shop-local date. Customers whose credits have not
+ * been migrated to the ledger yet still have the legacy { "YYYY-M": "amount" } rebate map with
+ * 0-based months, where a month is available once the availability delay has passed.
+ */
+function calculateAvailableCredits(metafields, shopDate, availabilityDelayMonths) {
+  const balanceMetafield = metafields.find(
+    metafield => metafield.namespace === "custom" && metafield.key === "available_balance"
+  );
+
+  if (balanceMetafield && balanceMetafield.value) {
+    return parseFloat(balanceMetafield.value) || 0;
+  }
+
+  const ledgerMetafield = metafields.find(
+    metafield => metafield.namespace === "custom" && metafield.key === "credit_ledger"
+  );
+
+  if (ledgerMetafield && ledgerMetafield.value) {
+    const ledger = JSON.parse(ledgerMetafield.value);
+
+    return ledger.entries
+      .filter(entry => entry.availableAt.slice(0, 10) <= shopDate)
+      .reduce((total, entry) => total + parseFloat(entry.amount), 0);
+  }
+
+  const rebateMetafield = metafields.find(
+    metafield => metafield.namespace === "custom" && metafield.key === "rebate"
+  );
+
+  if (!rebateMetafield || !rebateMetafield.value) {
+    return 0;
+  }
+
+  // Parse the rebate data
+  const rebateData = JSON.parse(rebateMetafield.value);
+  const currentMonthIndex = Number(shopDate.slice(0, 4)) * 12 + Number(shopDate.slice(5, 7)) - 1;
+
+  let availableCredits = 0;
+
+  Object.entries(rebateData).forEach(([yearMonth, amount]) => {
+    const [year, month] = yearMonth.split('-').map(Number);
+
+    // Check if this credit's availability delay has passed (can be used now)
+    if (year * 12 + month + availabilityDelayMonths <= currentMonthIndex) {
+      availableCredits += parseFloat(amount);
+    }
+  });
+
+  return availableCredits;
+}
+
+/**
+ * Read the settings this function needs from the credit program configuration
+ *
+ * Each setting is checked like the webhook's config.js does: an invalid one is logged and replaced
+ * with its default, leaving the other settings as configured.
+ */
+function parseConfig(value) {
+  let config = {};
+
+  try {
+    config = value ? JSON.parse(value) : {};
+  } catch (error) {
+    console.error('Error parsing store credit program configuration, using defaults:', error);
+  }
+
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    console.error('Store credit program configuration must be a JSON object, using defaults');
+    config = {};
+  }
+
+  const readSetting = (key, isValid, defaultValue, requirement) => {
+    if (config[key] === undefined) {
+      return defaultValue;
+    }
+
+    if (!isValid(config[key])) {
+      console.error(`Invalid store credit program setting ${key}, using the default: ${key} must be ${requirement}`);
+      return defaultValue;
+    }
+
+    return config[key];
+  };
+
+  return {
+    pooling: readSetting(
+      "pooling",
+      (pooling) => pooling === null || ["company", "location"].includes(pooling),
+      null,
+      "null or one of company, location"
+    ),
+    redemptionCapPercentage: readSetting(
+      "redemptionCapPercentage",
+      (percentage) => typeof percentage === "number" && percentage >= 0 && percentage <= 100,
+      DEFAULT_REDEMPTION_CAP_PERCENTAGE,
+      "a number from 0 to 100"
+    ),
+    availabilityDelayMonths: readSetting(
+      "availabilityDelayMonths",
+      (months) => Number.isInteger(months) && months >= 0,
+      DEFAULT_AVAILABILITY_DELAY_MONTHS,
+      "a non-negative integer"
+    )
+  };
+}
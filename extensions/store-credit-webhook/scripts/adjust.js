@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * Add or remove store credit for a customer
+ *
+ *   node scripts/adjust.js --customer <id> --amount 25 --reason goodwill --staff <id> [--note "..."]
+ *
+ * A negative amount, written --amount=-25, removes credit. See the README for the offline options.
+ */
+
+import { writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { adjustCustomerCredits, ADJUSTMENT_REASONS, InvalidAdjustmentError } from '../src/adjustments.js';
+import { checkExpectations, getCommandApiClient } from './shared.js';
+
+const { values: options } = parseArgs({
+  options: {
+    customer: { type: 'string' },
+    amount: { type: 'string' },
+    reason: { type: 'string' },
+    note: { type: 'string', default: '' },
+    staff: { type: 'string' },
+    id: { type: 'string' },
+    store: { type: 'string' },
+    out: { type: 'string' },
+    expect: { type: 'string' }
+  }
+});
+
+if (!options.customer || !options.amount) {
+  console.error(`Usage: node scripts/adjust.js --customer <id> --amount <amount> --reason <${ADJUSTMENT_REASONS.join('|')}> --staff <id> [--note <text>] [--id <id>] [--store <file> [--out <file>] [--expect <file>]]`);
+  process.exit(1);
+}
+
+const apiClient = await getCommandApiClient(options);
+
+try {
+  const result = await adjustCustomerCredits(apiClient, options.customer, {
+    amount: options.amount,
+    reason: options.reason,
+    note: options.note,
+    staffId: options.staff,
+    id: options.id
+  });
+
+  if (!result) {
+    console.error(`Customer ${options.customer} not found`);
+    process.exit(1);
+  }
+
+  const { entry, available, pending, duplicate } = result;
+  console.log(`${duplicate ? 'Already recorded' : 'Recorded'} ${entry.id}: ${entry.amount} (${entry.reason})`);
+  console.log(`  Customer ${options.customer}: available ${available.toFixed(2)}, pending ${pending.toFixed(2)}`);
+} catch (error) {
+  if (!(error instanceof InvalidAdjustmentError)) {
+    throw error;
+  }
+
+  console.error(error.message);
+  process.exit(1);
+}
+
+if (options.store && options.out) {
+  await writeFile(options.out, `${JSON.stringify(apiClient.store, null, 2)}\n`);
+}
+
+if (options.store && options.expect) {
+  process.exitCode = await checkExpectations(options.expect, { store: apiClient.store }) > 0 ? 1 : 0;
+}
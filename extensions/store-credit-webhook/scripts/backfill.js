@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/**
+ * Recalculate customers' credits from their order history
+ *
+ *   node scripts/backfill.js --orders orders.csv|orders.jsonl [--customer <id>] [--apply]
+ *   node scripts/backfill.js --from-api [--since 2024-01-01] [--customer <id>] [--apply]
+ *
+ * A dry run that prints the differences unless --apply is given. See the README for the offline
+ * options.
+ */
+
+import { writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { backfillCustomer, groupOrdersByCustomer } from '../src/backfill.js';
+import { checkExpectations, getCommandApiClient, getIncompleteHistoryReason, loadOrders, ORDER_HISTORY_OPTIONS } from './shared.js';
+
+const { values: options } = parseArgs({
+  options: {
+    ...ORDER_HISTORY_OPTIONS,
+    apply: { type: 'boolean', default: false },
+    expect: { type: 'string' }
+  }
+});
+
+if (!options.orders && !options['from-api']) {
+  console.error('Usage: node scripts/backfill.js --orders <file> | --from-api [--since <date>] [--customer <id>] [--apply] [--store <file> [--out <file>] [--expect <file>]]');
+  process.exit(1);
+}
+
+if (options.apply && getIncompleteHistoryReason(options)) {
+  console.error(`--apply needs each customer's complete order history: ${getIncompleteHistoryReason(options)}`);
+  process.exit(1);
+}
+
+const apiClient = await getCommandApiClient(options);
+const orders = await loadOrders(apiClient, options);
+
+const ordersByCustomer = await groupOrdersByCustomer(apiClient, orders);
+const customerIds = options.customer ? [String(options.customer)] : [...ordersByCustomer.keys()];
+
+console.log(`Replaying ${orders.length} orders for ${customerIds.length} customers${options.apply ? '' : ' (dry run, pass --apply to write)'}`);
+
+let changed = 0;
+let skipped = 0;
+
+for (const customerId of customerIds) {
+  const report = await backfillCustomer(apiClient, customerId, ordersByCustomer.get(customerId) || [], { apply: options.apply });
+
+  if (!report) {
+    console.log(`\nCustomer ${customerId}: not found`);
+    continue;
+  }
+
+  console.log(`\nCustomer ${customerId} (${report.current.customer.email || 'no email'})`);
+  console.log('  Recalculated ledger:');
+  report.computed.ledger.entries.forEach(entry => {
+    console.log(`    ${entry.month || '       '}  ${entry.type.padEnd(7)}  ${entry.id.padEnd(24)}  ${entry.amount.padStart(10)}  available ${entry.availableAt.slice(0, 10)}`);
+  });
+  console.log(`    balance ${report.computed.ledger.balance}`);
+
+  if (report.diff.length === 0) {
+    console.log('  No changes');
+    continue;
+  }
+
+  changed++;
+  console.log(report.applied ? '  Changes written:' : '  Changes (not written):');
+  report.diff.forEach(line => console.log(`    ${line}`));
+
+  if (report.missingOrders.length > 0) {
+    skipped++;
+    console.log(`  Credited orders missing from the order history: ${report.missingOrders.join(', ')}. Nothing is written; load the history again and rerun`);
+  }
+}
+
+console.log(`\n${changed - skipped} of ${customerIds.length} customers ${options.apply ? 'updated' : 'would change'}${skipped ? `, ${skipped} left as they are with orders missing from the history` : ''}`);
+
+if (options.store && options.out) {
+  await writeFile(options.out, `${JSON.stringify(apiClient.store, null, 2)}\n`);
+}
+
+if (options.store && options.expect) {
+  process.exitCode = await checkExpectations(options.expect, { store: apiClient.store }) > 0 ? 1 : 0;
+}
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+/**
+ * Inspect and re-drive failed webhook jobs
+ *
+ *   node scripts/dead-letters.js list|show <job-id>|redrive <job-id>|redrive --all|process
+ *
+ * The queue lives in STORE_CREDIT_DATA_DIR (.store-credit-data by default).
+ */
+
+import { createAdminApiClient } from '../src/admin-client.js';
+import { webhookHandlers } from '../src/index.js';
+import { createRateLimiter } from '../src/rate-limiter.js';
+import { createRetryQueue, processDueJobs } from '../src/retry-queue.js';
+
+const [command, argument] = process.argv.slice(2);
+const queue = createRetryQueue();
+
+switch (command) {
+  case 'list': {
+    const deadLetters = await queue.listDeadLetters();
+    const queued = await queue.listQueued();
+
+    console.log(`Dead-lettered jobs (${deadLetters.length}):`);
+    deadLetters.forEach(job => console.log(`  ${job.id}  ${job.topic}  ${job.shop}  ${job.attempts} attempts  ${job.lastError}`));
+    console.log(`Jobs waiting for a retry (${queued.length}):`);
+    queued.forEach(job => console.log(`  ${job.id}  ${job.topic}  ${job.shop}  next attempt ${job.nextAttemptAt}`));
+    break;
+  }
+
+  case 'show': {
+    const job = argument && await queue.getDeadLetter(argument);
+
+    if (!job) {
+      console.error(`No dead-lettered job ${argument}`);
+      process.exitCode = 1;
+      break;
+    }
+
+    console.log(JSON.stringify({ ...job, body: JSON.parse(job.body) }, null, 2));
+    break;
+  }
+
+  case 'redrive': {
+    const ids = argument === '--all'
+      ? (await queue.listDeadLetters()).map(job => job.id)
+      : [argument].filter(Boolean);
+
+    if (ids.length === 0) {
+      console.error('Nothing to re-drive: pass a job ID or --all');
+      process.exitCode = 1;
+      break;
+    }
+
+    for (const id of ids) {
+      const job = await queue.redrive(id);
+      console.log(job ? `Re-queued ${id}` : `No dead-lettered job ${id}`);
+    }
+    break;
+  }
+
+  case 'process': {
+    if (!process.env.SHOPIFY_ACCESS_TOKEN) {
+      console.error('SHOPIFY_ACCESS_TOKEN must be set to process jobs');
+      process.exitCode = 1;
+      break;
+    }
+
+    const rateLimiter = createRateLimiter();
+    const results = await processDueJobs(queue, {
+      handlers: webhookHandlers,
+      getApiClient: shop => rateLimiter.wrap(shop, createAdminApiClient({ shop, accessToken: process.env.SHOPIFY_ACCESS_TOKEN }))
+    });
+    console.log(`${results.succeeded} jobs succeeded, ${results.failed} failed again`);
+    break;
+  }
+
+  default:
+    console.error('Usage: node scripts/dead-letters.js list | show <job-id> | redrive <job-id>|--all | process');
+    process.exitCode = 1;
+}
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/**
+ * Reconcile customers' credit metafields against each other and their order history
+ *
+ *   node scripts/reconcile.js --orders orders.csv|orders.jsonl --report report.csv [--format csv|json] [--apply]
+ *   node scripts/reconcile.js --from-api [--since 2024-01-01] [--customer <id>] --report report.csv [--apply]
+ *
+ * Orders are read as for scripts/backfill.js. See the README for the offline options.
+ */
+
+import { writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { groupOrdersByCustomer } from '../src/backfill.js';
+import { reconcileCustomer, toCsv } from '../src/reconciliation.js';
+import { checkExpectations, getCommandApiClient, getIncompleteHistoryReason, loadOrders, ORDER_HISTORY_OPTIONS } from './shared.js';
+
+const { values: options } = parseArgs({
+  options: {
+    ...ORDER_HISTORY_OPTIONS,
+    format: { type: 'string', default: 'csv' },
+    report: { type: 'string' },
+    apply: { type: 'boolean', default: false },
+    expect: { type: 'string' }
+  }
+});
+
+if ((!options.orders && !options['from-api']) || !(options.report || options.expect) || !['csv', 'json'].includes(options.format)) {
+  console.error('Usage: node scripts/reconcile.js --orders <file> | --from-api [--since <date>] [--customer <id>] --report <file> [--format csv|json] [--apply] [--store <file> [--out <file>] [--expect <file>]]');
+  process.exit(1);
+}
+
+if (options.apply && getIncompleteHistoryReason(options)) {
+  console.error(`--apply needs each customer's complete order history: ${getIncompleteHistoryReason(options)}`);
+  process.exit(1);
+}
+
+const apiClient = await getCommandApiClient(options);
+const orders = await loadOrders(apiClient, options);
+const ordersByCustomer = await groupOrdersByCustomer(apiClient, orders);
+const customerIds = options.customer ? [String(options.customer)] : [...ordersByCustomer.keys()];
+
+const discrepancies = [];
+let corrected = 0;
+
+for (const customerId of customerIds) {
+  const result = await reconcileCustomer(apiClient, customerId, ordersByCustomer.get(customerId) || [], { apply: options.apply });
+
+  if (!result) {
+    console.error(`Customer ${customerId} not found`);
+    continue;
+  }
+
+  discrepancies.push(...result.discrepancies);
+  corrected += result.applied ? 1 : 0;
+}
+
+const report = options.format === 'json' ? `${JSON.stringify(discrepancies, null, 2)}\n` : toCsv(discrepancies);
+
+if (options.report) {
+  await writeFile(options.report, report);
+}
+
+const customersWithDiscrepancies = new Set(discrepancies.map(discrepancy => discrepancy.customerId)).size;
+console.error(`${discrepancies.length} discrepancies for ${customersWithDiscrepancies} of ${customerIds.length} customers${options.apply ? `, ${corrected} corrected` : ''}`);
+
+if (options.store && options.out) {
+  await writeFile(options.out, `${JSON.stringify(apiClient.store, null, 2)}\n`);
+}
+
+if (options.store && options.expect) {
+  process.exitCode = await checkExpectations(options.expect, { store: apiClient.store, report }) > 0 ? 1 : 0;
+}
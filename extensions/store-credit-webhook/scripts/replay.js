@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+/**
+ * Replay saved webhook payloads against the webhook server, offline
+ *
+ *   node scripts/replay.js [--store fixtures/store.json] [--out store-after.json] payload.json...
+ *
+ * Each payload is signed and POSTed to a local server backed by the mock Admin API. See the README
+ * for the other options and the --expect file format.
+ */
+
+import { cp, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { parseArgs } from 'node:util';
+import { signWebhookBody } from '../src/hmac.js';
+import { webhookHandlers } from '../src/index.js';
+import { createMockAdminApi } from '../src/mock-admin-api.js';
+import { flushNotifications } from '../src/notifications.js';
+import { createPrivacyHandlers } from '../src/privacy.js';
+import { createRetryQueue, processDueJobs } from '../src/retry-queue.js';
+import { createWebhookServer } from '../src/server.js';
+import { checkExpectations } from './shared.js';
+
+const REPLAY_SECRET = 'replay-secret';
+const DEFAULT_SHOP = 'replay-shop.myshopify.com';
+
+// Latest time a Date can hold, by which every queued delivery is due
+const END_OF_TIME = new Date(8.64e15);
+
+const { values: options, positionals: payloadFiles } = parseArgs({
+  allowPositionals: true,
+  options: {
+    store: { type: 'string' },
+    out: { type: 'string' },
+    topic: { type: 'string' },
+    'data-dir': { type: 'string' },
+    seed: { type: 'string' },
+    expect: { type: 'string' },
+    'bad-signature': { type: 'boolean', default: false },
+    'retry-queue': { type: 'boolean', default: false }
+  }
+});
+
+if (payloadFiles.length === 0) {
+  console.error('Usage: node scripts/replay.js [--store store.json] [--out store.json] [--topic topic] [--data-dir dir] [--seed dir] [--expect expected.json] [--bad-signature] [--retry-queue] payload.json...');
+  process.exit(1);
+}
+
+const store = options.store ? JSON.parse(await readFile(options.store, 'utf8')) : {};
+const apiClient = createMockAdminApi(store);
+const dataDirectory = options['data-dir'] || await mkdtemp(join(tmpdir(), 'store-credit-replay-'));
+
+if (options.seed) {
+  await cp(options.seed, dataDirectory, { recursive: true });
+}
+
+const handlers = { ...webhookHandlers, ...createPrivacyHandlers({ directory: dataDirectory }) };
+const queue = options['retry-queue'] ? createRetryQueue({ directory: dataDirectory }) : null;
+const server = createWebhookServer({ secret: REPLAY_SECRET, getApiClient: () => apiClient, handlers, queue });
+
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const { port } = server.address();
+
+let failures = 0;
+
+try {
+  for (const payloadFile of payloadFiles) {
+    const delivery = await loadDelivery(payloadFile, options.topic);
+    const rawBody = JSON.stringify(delivery.body);
+    const signature = options['bad-signature'] ? signWebhookBody(rawBody, 'wrong-secret') : signWebhookBody(rawBody, REPLAY_SECRET);
+
+    const response = await fetch(`http://127.0.0.1:${port}/webhooks/${delivery.topic}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Shopify-Topic': delivery.topic,
+        'X-Shopify-Shop-Domain': delivery.shop || DEFAULT_SHOP,
+        'X-Shopify-Hmac-Sha256': signature
+      },
+      body: rawBody
+    });
+
+    console.log(`${payloadFile} -> ${delivery.topic}: ${response.status} ${await response.text()}`);
+
+    // A delivery with a wrong signature must be turned away before it reaches a handler
+    if (options['bad-signature'] ? response.status !== 401 : !response.ok) {
+      failures++;
+    }
+  }
+} finally {
+  server.close();
+}
+
+if (queue) {
+  const { succeeded, failed } = await processDueJobs(queue, { handlers, getApiClient: () => apiClient, now: END_OF_TIME });
+  console.log(`Retried queued deliveries: ${succeeded} succeeded, ${failed} failed again`);
+}
+
+await flushNotifications();
+
+if (options.out) {
+  await writeFile(options.out, `${JSON.stringify(apiClient.store, null, 2)}\n`);
+  console.log(`Mock store written to ${options.out}`);
+} else if (!options.expect) {
+  console.log(JSON.stringify(apiClient.store.customers, null, 2));
+}
+
+if (options.expect) {
+  failures += await checkExpectations(options.expect, { store: apiClient.store, dataDirectory });
+}
+
+if (!options['data-dir']) {
+  await rm(dataDirectory, { recursive: true, force: true });
+}
+
+process.exitCode = failures > 0 ? 1 : 0;
+
+/**
+ * Read a payload file as a { topic, shop, body } delivery
+ */
+async function loadDelivery(payloadFile, topic) {
+  const contents = JSON.parse(await readFile(payloadFile, 'utf8'));
+
+  if (contents.topic && contents.body) {
+    return contents;
+  }
+
+  if (!topic) {
+    throw new Error(`${payloadFile} is a bare webhook body; pass --topic to replay it`);
+  }
+
+  return { topic, body: contents };
+}
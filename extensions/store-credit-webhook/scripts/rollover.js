@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * Roll customers' pending credits over to available
+ *
+ *   node scripts/rollover.js [--date 2025-02-01] [--customer <id>] [--dry-run]
+ *
+ * Any date other than today is only accepted with --dry-run. See the README for the offline options.
+ */
+
+import { writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { RolloverDateError, runRollover } from '../src/rollover.js';
+import { checkExpectations, getCommandApiClient } from './shared.js';
+
+const { values: options } = parseArgs({
+  options: {
+    date: { type: 'string' },
+    customer: { type: 'string' },
+    'dry-run': { type: 'boolean', default: false },
+    store: { type: 'string' },
+    out: { type: 'string' },
+    expect: { type: 'string' }
+  }
+});
+
+if (options.date && !/^\d{4}-\d{2}-\d{2}$/.test(options.date)) {
+  console.error('Usage: node scripts/rollover.js [--date YYYY-MM-DD] [--customer <id>] [--dry-run] [--store <file> [--out <file>] [--expect <file>]]');
+  process.exit(1);
+}
+
+const apiClient = await getCommandApiClient(options);
+
+try {
+  const results = await runRollover(apiClient, {
+    date: options.date,
+    customerIds: options.customer ? [options.customer] : null,
+    dryRun: options['dry-run'],
+    // The mock store has no live balances to protect, so an offline run takes --date as today
+    today: options.store ? options.date : null
+  });
+
+  results.forEach(({ customerId, available, pending, expired }) => {
+    const expiredNote = expired > 0 ? `, expired ${expired.toFixed(2)}` : '';
+    console.log(`  Customer ${customerId}: available ${available.toFixed(2)}, pending ${pending.toFixed(2)}${expiredNote}`);
+  });
+} catch (error) {
+  if (!(error instanceof RolloverDateError)) {
+    throw error;
+  }
+
+  console.error(error.message);
+  process.exit(1);
+}
+
+if (options.store && options.out) {
+  await writeFile(options.out, `${JSON.stringify(apiClient.store, null, 2)}\n`);
+}
+
+if (options.store && options.expect) {
+  process.exitCode = await checkExpectations(options.expect, { store: apiClient.store }) > 0 ? 1 : 0;
+}
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+/**
+ * Run the webhook HTTP server
+ *
+ *   SHOPIFY_API_SECRET=... SHOPIFY_ACCESS_TOKEN=... PORT=3000 node scripts/serve.js
+ *
+ * The other environment variables it reads are listed in the README.
+ */
+
+import { createAdminApiClient } from '../src/admin-client.js';
+import { webhookHandlers } from '../src/index.js';
+import { createRateLimiter } from '../src/rate-limiter.js';
+import { createRetryQueue, startRetryWorker } from '../src/retry-queue.js';
+import { startRolloverScheduler } from '../src/rollover.js';
+import { createWebhookServer } from '../src/server.js';
+
+const { SHOPIFY_API_KEY, SHOPIFY_API_SECRET, SHOPIFY_ACCESS_TOKEN, SHOPIFY_SHOP, STORE_CREDIT_METRICS_TOKEN, PORT = '3000' } = process.env;
+
+if (!SHOPIFY_API_SECRET || !SHOPIFY_ACCESS_TOKEN) {
+  console.error('SHOPIFY_API_SECRET and SHOPIFY_ACCESS_TOKEN must be set');
+  process.exit(1);
+}
+
+const rateLimiter = createRateLimiter();
+const getApiClient = shop => rateLimiter.wrap(shop, createAdminApiClient({ shop, accessToken: SHOPIFY_ACCESS_TOKEN }));
+const queue = createRetryQueue();
+
+const server = createWebhookServer({
+  secret: SHOPIFY_API_SECRET,
+  getApiClient,
+  queue,
+  getMetrics: () => rateLimiter.getMetrics(),
+  metricsToken: STORE_CREDIT_METRICS_TOKEN,
+  apiKey: SHOPIFY_API_KEY,
+  shop: SHOPIFY_SHOP
+});
+startRetryWorker(queue, { handlers: webhookHandlers, getApiClient });
+
+if (SHOPIFY_SHOP) {
+  startRolloverScheduler(getApiClient(SHOPIFY_SHOP), { directory: queue.directory });
+}
+
+server.listen(Number(PORT), () => {
+  console.log(`Store credit webhooks listening on port ${PORT}, retry queue in ${queue.directory}`);
+});
@@ -0,0 +1,148 @@
+/**
+ * Helpers shared by the commands: the Admin API client, the order history and the checks of an
+ * offline run's outcome against an --expect file
+ */
+
+import { readdir, readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { createAdminApiClient } from '../src/admin-client.js';
+import { createMockAdminApi } from '../src/mock-admin-api.js';
+import { fetchOrders, parseOrdersCsv, parseOrdersJsonLines } from '../src/order-sources.js';
+import { createRateLimiter } from '../src/rate-limiter.js';
+
+// Command-line options for choosing the shop and the order history, for parseArgs
+export const ORDER_HISTORY_OPTIONS = {
+  orders: { type: 'string' },
+  'from-api': { type: 'boolean', default: false },
+  since: { type: 'string' },
+  customer: { type: 'string' },
+  store: { type: 'string' },
+  out: { type: 'string' }
+};
+
+/**
+ * Create the Admin API client for a command: the mock Admin API loaded from --store, or the shop
+ * in SHOPIFY_SHOP with SHOPIFY_ACCESS_TOKEN
+ */
+export async function getCommandApiClient(options) {
+  if (options.store) {
+    return createMockAdminApi(JSON.parse(await readFile(options.store, 'utf8')));
+  }
+
+  const { SHOPIFY_SHOP, SHOPIFY_ACCESS_TOKEN } = process.env;
+
+  if (!SHOPIFY_SHOP || !SHOPIFY_ACCESS_TOKEN) {
+    console.error('SHOPIFY_SHOP and SHOPIFY_ACCESS_TOKEN must be set, or --store given for an offline run');
+    process.exit(1);
+  }
+
+  return createRateLimiter().wrap(SHOPIFY_SHOP, createAdminApiClient({ shop: SHOPIFY_SHOP, accessToken: SHOPIFY_ACCESS_TOKEN }));
+}
+
+/**
+ * Get why the order history an --apply run would load can't be written back, or null when it can
+ *
+ * Orders before --since would be dropped from the rewritten ledgers. An orders export CSV is a
+ * complete history: it names a redemption's discount only by its code, but redemptions are kept
+ * from the current ledger (see backfill.js).
+ */
+export function getIncompleteHistoryReason(options) {
+  return options.since ? '--since leaves out the orders before it' : null;
+}
+
+/**
+ * Load the order history from --orders (CSV or JSON lines) or, with --from-api, the Admin API
+ */
+export async function loadOrders(apiClient, options) {
+  if (options.orders) {
+    const text = await readFile(options.orders, 'utf8');
+    return options.orders.toLowerCase().endsWith('.csv') ? parseOrdersCsv(text) : parseOrdersJsonLines(text);
+  }
+
+  return fetchOrders(apiClient, { query: options.since ? `created_at:>=${options.since}` : null });
+}
+
+/**
+ * Check the outcome of an offline run against an --expect file, printing each difference and
+ * returning how many there are
+ *
+ * The file's `store` is compared with the mock store and each of its `files` with the file at that
+ * path in `dataDirectory` (see replay.js). Its `report`, if any, is compared line by line with the
+ * report a command produced (see reconcile.js).
+ */
+export async function checkExpectations(expectFile, { store, dataDirectory = null, report = null }) {
+  const { store: expectedStore = {}, files = {}, report: expectedReport } = JSON.parse(await readFile(expectFile, 'utf8'));
+  const differences = compareExpected(store, expectedStore, 'store');
+
+  if (expectedReport !== undefined) {
+    differences.push(...compareExpected(report === null ? null : report.trimEnd().split('\n'), expectedReport, 'report'));
+  }
+
+  for (const [path, expected] of Object.entries(files)) {
+    const actual = path.endsWith('/') ? await listFiles(join(dataDirectory, path)) : await readJsonFile(join(dataDirectory, path));
+    differences.push(...compareExpected(actual, expected, path));
+  }
+
+  differences.forEach(difference => console.error(`Expectation failed: ${difference}`));
+  console.log(`${expectFile}: ${differences.length === 0 ? 'all expectations met' : `${differences.length} expectations failed`}`);
+
+  return differences.length;
+}
+
+/**
+ * List where a value differs from the keys given in an expected value
+ */
+function compareExpected(actual, expected, path) {
+  if (expected === null) {
+    return actual === null || actual === undefined ? [] : [`${path} should be absent, is ${JSON.stringify(actual)}`];
+  }
+
+  // JSON metafield values are stored as strings
+  if (typeof expected === 'object' && typeof actual === 'string') {
+    try {
+      actual = JSON.parse(actual);
+    } catch (error) {
+      return [`${path} should be JSON, is ${JSON.stringify(actual)}`];
+    }
+  }
+
+  if (Array.isArray(expected)) {
+    if (!Array.isArray(actual) || actual.length !== expected.length) {
+      return [`${path} should be ${JSON.stringify(expected)}, is ${JSON.stringify(actual)}`];
+    }
+
+    return expected.flatMap((item, index) => compareExpected(actual[index], item, `${path}[${index}]`));
+  }
+
+  if (typeof expected === 'object') {
+    if (!actual || typeof actual !== 'object') {
+      return [`${path} should be an object, is ${JSON.stringify(actual)}`];
+    }
+
+    return Object.entries(expected).flatMap(([key, value]) => compareExpected(actual[key], value, `${path}.${key}`));
+  }
+
+  return actual === expected ? [] : [`${path} should be ${JSON.stringify(expected)}, is ${JSON.stringify(actual)}`];
+}
+
+async function readJsonFile(path) {
+  try {
+    return JSON.parse(await readFile(path, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return undefined;
+    }
+    throw error;
+  }
+}
+
+async function listFiles(path) {
+  try {
+    return (await readdir(path)).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return undefined;
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * Manual Credit Adjustments
+ *
+ * Staff add or remove credits with adjust entries recording a reason code, an optional note and
+ * the staff member who made them.
+ */
+
+import { randomUUID } from 'node:crypto';
+import { appendLedgerEntries, createLedgerEntry, getLedgerBalance } from './ledger.js';
+import { updateCustomerCredits } from './metafields.js';
+import { getMonthKey } from './months.js';
+import { notifyCreditChanges } from './notifications.js';
+
+export const ADJUSTMENT_REASONS = ['goodwill', 'correction', 'fraud', 'other'];
+
+// Longest note kept with an adjustment
+const MAX_NOTE_LENGTH = 500;
+
+/**
+ * Raised when an adjustment is incomplete or would overdraw the customer's credits
+ */
+export class InvalidAdjustmentError extends Error {
+  constructor(errors) {
+    super(`Invalid store credit adjustment: ${errors.join('; ')}`);
+    this.name = 'InvalidAdjustmentError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Check an adjustment's amount, reason, note and staff ID, returning a list of problems
+ */
+export function validateAdjustment({ amount, reason, note = '', staffId } = {}) {
+  const errors = [];
+  const cents = Math.round(Number(amount) * 100);
+
+  if (!Number.isFinite(cents) || cents === 0) {
+    errors.push('amount must be a non-zero number');
+  }
+
+  if (!ADJUSTMENT_REASONS.includes(reason)) {
+    errors.push(`reason must be one of ${ADJUSTMENT_REASONS.join(', ')}`);
+  }
+
+  if (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH) {
+    errors.push(`note must be text of at most ${MAX_NOTE_LENGTH} characters`);
+  }
+
+  if (!staffId) {
+    errors.push('staffId is required');
+  }
+
+  return errors;
+}
+
+/**
+ * Add credit to a customer, or with a negative amount remove it, as an adjust ledger entry
+ *
+ * Returns `{ entry, available, pending, duplicate }`, where `duplicate` is true when an adjustment
+ * with the same `id` was already recorded and nothing was written, or null when the customer does
+ * not exist.
+ */
+export async function adjustCustomerCredits(apiClient, customerId, adjustment) {
+  const errors = validateAdjustment(adjustment);
+
+  if (errors.length > 0) {
+    throw new InvalidAdjustmentError(errors);
+  }
+
+  const { amount, reason, note = '', staffId, id = randomUUID() } = adjustment;
+  const entryId = `adjust:${id}`;
+  const createdAt = new Date();
+  let result = null;
+
+  await updateCustomerCredits(apiClient, customerId, state => {
+    const existing = state.ledger.entries.find(entry => entry.id === entryId);
+
+    if (existing) {
+      result = { entry: existing, ...getBalances(state.ledger, createdAt), duplicate: true };
+      return false;
+    }
+
+    const entry = createLedgerEntry({
+      id: entryId,
+      type: 'adjust',
+      amount,
+      month: getMonthKey(createdAt, state.timeZone),
+      createdAt: createdAt.toISOString(),
+      reason,
+      note: note.trim(),
+      staffId: String(staffId)
+    });
+    const { available, pending, total } = getLedgerBalance(state.ledger, createdAt);
+
+    if (total + parseFloat(entry.amount) < 0) {
+      throw new InvalidAdjustmentError([`amount can't remove more than the balance of ${total.toFixed(2)} (available ${available.toFixed(2)}, pending ${pending.toFixed(2)})`]);
+    }
+
+    state.ledger = appendLedgerEntries(state.ledger, [entry]);
+    result = { entry, ...getBalances(state.ledger, createdAt), duplicate: false };
+
+    return true;
+  }, { asOf: createdAt, onWrite: notifyCreditChanges });
+
+  if (result && !result.duplicate) {
+    console.log(`Adjusted credits of customer ${customerId} by ${result.entry.amount} (${reason}) for staff ${staffId}`);
+  }
+
+  return result;
+}
+
+function getBalances(ledger, asOf) {
+  const { available, pending } = getLedgerBalance(ledger, asOf);
+  return { available, pending };
+}
@@ -0,0 +1,56 @@
+/**
+ * GraphQL Admin API Client
+ *
+ * A minimal client for a shop's GraphQL Admin API with the `query({ data: { query, variables } })`
+ * interface the handlers use, resolving to `{ body }` like the @shopify/shopify-api client.
+ * Failed HTTP requests throw with the `statusCode` and `Retry-After` header the rate limiter needs.
+ *
+ * The access token is only ever sent to a *.myshopify.com domain.
+ */
+
+export const ADMIN_API_VERSION = '2024-07';
+
+const SHOP_DOMAIN_PATTERN = /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/i;
+
+/**
+ * Check whether a shop domain may be given the access token: a *.myshopify.com domain, and the
+ * configured shop when there is one
+ */
+export function isAllowedShop(shop, configuredShop = null) {
+  return typeof shop === 'string' &&
+    SHOP_DOMAIN_PATTERN.test(shop) &&
+    (!configuredShop || shop.toLowerCase() === configuredShop.toLowerCase());
+}
+
+/**
+ * Create an Admin API client for a shop using an access token
+ */
+export function createAdminApiClient({ shop, accessToken, apiVersion = ADMIN_API_VERSION }) {
+  if (!isAllowedShop(shop)) {
+    throw new Error(`${shop} is not a myshopify.com shop domain`);
+  }
+
+  const endpoint = `https://${shop}/admin/api/${apiVersion}/graphql.json`;
+
+  return {
+    async query({ data }) {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Shopify-Access-Token': accessToken
+        },
+        body: JSON.stringify(data)
+      });
+
+      if (!response.ok) {
+        const error = new Error(`Admin API request to ${shop} failed with status ${response.status}`);
+        error.statusCode = response.status;
+        error.retryAfter = response.headers.get('Retry-After');
+        throw error;
+      }
+
+      return { body: await response.json() };
+    }
+  };
+}
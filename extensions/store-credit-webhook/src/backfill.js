@@ -0,0 +1,266 @@
+/**
+ * Credit Backfill and Recalculation
+ *
+ * Rebuilds customers' credit state by replaying their order history through the credit engine,
+ * reporting the differences or writing the result.
+ */
+
+import { getActiveCampaigns, memoizeCampaignProducts } from './campaigns.js';
+import { getConfig } from './config.js';
+import { getRefundedEarningBase } from './earning.js';
+import { creditOrder, reverseOrderCredits } from './engine.js';
+import { memoizeExcludedProducts } from './exclusions.js';
+import { getDueExpiryEntries } from './expiry.js';
+import { graphqlRequest } from './graphql.js';
+import { appendLedgerEntries, createLedger, getLedgerBalance } from './ledger.js';
+import { updateCustomerCredits } from './metafields.js';
+import { getMonthKey } from './months.js';
+import { getOrderCompany, getPoolId } from './pooling.js';
+
+// Ledger entry types that record what happened rather than what orders earned
+const CARRIED_ENTRY_TYPES = ['adjust', 'redeem', 'write-off'];
+
+const CUSTOMER_BY_EMAIL_QUERY = `
+  query CustomerByEmail($query: String!) {
+    customers(first: 1, query: $query) {
+      nodes {
+        legacyResourceId
+      }
+    }
+  }
+`;
+
+/**
+ * Group orders by customer ID, resolving customers known only by email through the Admin API
+ *
+ * Orders placed for a company are grouped under the GraphQL ID of their pool instead when the
+ * program pools B2B credits. Orders without a customer are skipped. Returns a Map of customer ID
+ * to orders.
+ */
+export async function groupOrdersByCustomer(apiClient, orders) {
+  const customerIdsByEmail = new Map();
+  const ordersByCustomer = new Map();
+  const { pooling } = orders.some(getOrderCompany) ? await getConfig(apiClient) : { pooling: null };
+
+  for (const order of orders) {
+    let customerId = order.customer?.id;
+    const email = order.customer?.email || order.email;
+
+    if (!customerId && email) {
+      if (!customerIdsByEmail.has(email)) {
+        const data = await graphqlRequest(apiClient, CUSTOMER_BY_EMAIL_QUERY, { query: `email:"${email}"` });
+        customerIdsByEmail.set(email, data.customers.nodes[0]?.legacyResourceId || null);
+      }
+      customerId = customerIdsByEmail.get(email);
+    }
+
+    if (!customerId) {
+      continue;
+    }
+
+    const ownerId = getPoolId(order, pooling) || String(customerId);
+    const customerOrders = ordersByCustomer.get(ownerId) || [];
+    customerOrders.push({ ...order, customer: { ...order.customer, id: customerId } });
+    ordersByCustomer.set(ownerId, customerOrders);
+  }
+
+  return ordersByCustomer;
+}
+
+/**
+ * Recalculate a customer's credit state from their orders, starting from nothing
+ *
+ * `state` is the customer's current credit state, which gives the shop's timezone and program
+ * configuration and the ledger entries to keep. `getExcludedProducts(lineItems, exclusions)`
+ * resolves the excluded products of a set of line items, and `getCampaignProducts(lineItems,
+ * campaigns)` the products the scoped campaigns cover. Returns the recalculated state.
+ */
+export async function recalculateCredits(state, orders, getExcludedProducts, getCampaignProducts = async () => new Map()) {
+  const migratedMonths = getMigratedMonths(state);
+  const revenueData = Object.fromEntries(Object.entries(state.revenueData).filter(([month]) => migratedMonths.has(month)));
+  const computed = {
+    ...state,
+    ledger: { ...createLedger(), currency: state.ledger.currency },
+    revenueData,
+    totalRevenue: parseFloat(Object.values(revenueData).reduce((total, revenue) => total + (parseFloat(revenue) || 0), 0).toFixed(2)),
+    processedOrders: {},
+    reversedOrders: {}
+  };
+  const { exclusions } = state.config;
+
+  for (const event of getHistoryEvents(state, orders)) {
+    const { order } = event;
+
+    if (event.type === 'order') {
+      const campaigns = getActiveCampaigns(state.config, order.created_at, state.timeZone);
+      creditOrder(
+        computed,
+        order,
+        await getExcludedProducts(order.line_items, exclusions),
+        await getCampaignProducts(order.line_items, campaigns)
+      );
+    } else if (event.type === 'refund') {
+      const refundLineItems = (event.refund.refund_line_items || []).map(refundLineItem => refundLineItem.line_item || {});
+      reverseOrderCredits(computed, order, `refund:${event.refund.id}`, {
+        amount: getRefundedEarningBase(event.refund, await getExcludedProducts(refundLineItems, exclusions), order.taxes_included),
+        processedAt: event.at
+      });
+    } else if (event.type === 'cancel') {
+      reverseOrderCredits(computed, order, `cancel:${order.id}`, { processedAt: event.at });
+    } else {
+      computed.ledger = appendLedgerEntries(computed.ledger, [event.entry]);
+    }
+  }
+
+  // Credits that have expired by now are written off, as the rollover would have done
+  computed.ledger = appendLedgerEntries(computed.ledger, getDueExpiryEntries(computed));
+
+  return computed;
+}
+
+/**
+ * Compare a customer's stored credit state with a recalculated one, as lines of text
+ *
+ * Returns an empty list when nothing would change.
+ */
+export function diffCreditState(current, computed) {
+  const lines = [];
+  const currentBalance = getLedgerBalance(current.ledger);
+  const computedBalance = getLedgerBalance(computed.ledger);
+
+  if (currentBalance.total !== computedBalance.total || currentBalance.available !== computedBalance.available) {
+    lines.push(`balance: ${currentBalance.total.toFixed(2)} (available ${currentBalance.available.toFixed(2)}) -> ${computedBalance.total.toFixed(2)} (available ${computedBalance.available.toFixed(2)})`);
+  }
+
+  if (Number(current.totalRevenue).toFixed(2) !== Number(computed.totalRevenue).toFixed(2)) {
+    lines.push(`revenu: ${Number(current.totalRevenue).toFixed(2)} -> ${Number(computed.totalRevenue).toFixed(2)}`);
+  }
+
+  const months = [...new Set([...Object.keys(current.revenueData), ...Object.keys(computed.revenueData)])].sort();
+  months.forEach(month => {
+    const before = current.revenueData[month];
+    const after = computed.revenueData[month];
+
+    if (before !== after) {
+      lines.push(`revenu_track ${month}: ${before ?? '(none)'} -> ${after ?? '(none)'}`);
+    }
+  });
+
+  const currentEntries = new Map(current.ledger.entries.map(entry => [entry.id, entry]));
+  const computedEntries = new Map(computed.ledger.entries.map(entry => [entry.id, entry]));
+
+  currentEntries.forEach((entry, id) => {
+    if (!computedEntries.has(id)) {
+      lines.push(`- ${id} ${entry.amount} (${entry.month})`);
+    }
+  });
+
+  computedEntries.forEach((entry, id) => {
+    const before = currentEntries.get(id);
+
+    if (!before) {
+      lines.push(`+ ${id} ${entry.amount} (${entry.month})`);
+    } else if (before.amount !== entry.amount || before.month !== entry.month || before.availableAt !== entry.availableAt) {
+      lines.push(`~ ${id} ${before.amount} (${before.month}) -> ${entry.amount} (${entry.month})`);
+    }
+  });
+
+  return lines;
+}
+
+/**
+ * Recalculate one customer's credits from their orders, writing them only when `apply` is set
+ *
+ * Orders the customer's processed_orders has credited but the history doesn't have, such as an
+ * order credited by its webhook while the backfill ran, are listed in `missingOrders` and nothing
+ * is written, since the recalculated credits would drop them. Returns `{ current, computed, diff,
+ * missingOrders, applied }`, or null when the customer does not exist.
+ */
+export async function backfillCustomer(apiClient, customerId, orders, { apply = false } = {}) {
+  // Products are looked up once per set of product IDs, however often the update is retried
+  const lookups = new Map();
+  const getLookups = lineItems => {
+    const key = lineItems.map(lineItem => lineItem.product_id).sort().join(',');
+    if (!lookups.has(key)) {
+      lookups.set(key, {
+        excluded: memoizeExcludedProducts(apiClient, lineItems),
+        campaigns: memoizeCampaignProducts(apiClient, lineItems)
+      });
+    }
+    return lookups.get(key);
+  };
+  const getExcludedProducts = (lineItems, exclusions) => getLookups(lineItems).excluded(exclusions);
+  const getCampaignProducts = (lineItems, campaigns) => getLookups(lineItems).campaigns(campaigns);
+
+  let report = null;
+
+  await updateCustomerCredits(apiClient, customerId, async state => {
+    const current = { ...state };
+    const computed = await recalculateCredits(state, orders, getExcludedProducts, getCampaignProducts);
+    report = { current, computed, diff: diffCreditState(current, computed), missingOrders: getMissingOrders(state, orders), applied: false };
+
+    if (!apply || report.diff.length === 0 || report.missingOrders.length > 0) {
+      return false;
+    }
+
+    state.ledger = computed.ledger;
+    state.revenueData = computed.revenueData;
+    state.totalRevenue = computed.totalRevenue;
+    state.processedOrders = computed.processedOrders;
+    state.reversedOrders = computed.reversedOrders;
+    report.applied = true;
+
+    return true;
+  });
+
+  return report;
+}
+
+/**
+ * List the events of a customer's history in the order they happened: orders, refunds,
+ * cancellations and the entries of the current ledger that orders can't rebuild
+ *
+ * Entries rebuilt with the same ID, such as the redemption of a replayed order, are recorded once.
+ */
+function getHistoryEvents(state, orders) {
+  const events = [];
+  const migratedMonths = getMigratedMonths(state);
+
+  orders.filter(order => !migratedMonths.has(getMonthKey(order.created_at, state.timeZone))).forEach(order => {
+    events.push({ type: 'order', at: order.created_at, order });
+
+    (order.refunds || []).forEach(refund => {
+      events.push({ type: 'refund', at: refund.created_at || order.cancelled_at || order.created_at, order, refund });
+    });
+
+    if (order.cancelled_at) {
+      events.push({ type: 'cancel', at: order.cancelled_at, order });
+    }
+  });
+
+  state.ledger.entries
+    .filter(entry => CARRIED_ENTRY_TYPES.includes(entry.type) || isMigratedEntry(entry))
+    .forEach(entry => events.push({ type: 'carry', at: entry.createdAt, entry }));
+
+  // A stable sort keeps an order ahead of refunds recorded with the same timestamp
+  return events.sort((a, b) => new Date(a.at) - new Date(b.at));
+}
+
+/**
+ * List the orders a customer's processed_orders has credited that are not in their order history
+ */
+function getMissingOrders(state, orders) {
+  const orderIds = new Set(orders.map(order => String(order.id)));
+  return Object.keys(state.processedOrders).filter(entry => !entry.includes(':') && !orderIds.has(entry));
+}
+
+/**
+ * Get the months of a customer's ledger that were migrated from the legacy rebate metafield
+ */
+function getMigratedMonths(state) {
+  return new Set(state.ledger.entries.filter(isMigratedEntry).map(entry => entry.month));
+}
+
+function isMigratedEntry(entry) {
+  return entry.id.startsWith('migrated-');
+}
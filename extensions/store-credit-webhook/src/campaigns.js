@@ -0,0 +1,237 @@
+/**
+ * Promotional Campaigns
+ *
+ * Credits that campaigns add on top of the tier rebate for orders placed in their date range, each
+ * as an earn entry of its own.
+ */
+
+import { getTier } from './credits.js';
+import { graphqlRequest } from './graphql.js';
+import { createLedgerEntry } from './ledger.js';
+import { getDayStart, getNextDateKey } from './months.js';
+
+const CAMPAIGN_PRODUCTS_QUERY = `
+  query CampaignProducts($ids: [ID!]!, $checkCollections: Boolean!) {
+    nodes(ids: $ids) {
+      ... on Product {
+        legacyResourceId
+        tags
+        collections(first: 250) @include(if: $checkCollections) {
+          nodes {
+            legacyResourceId
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Get the campaigns running at a moment, in the shop's timezone
+ */
+export function getActiveCampaigns(config, at, timeZone = 'UTC') {
+  const time = new Date(at).getTime();
+
+  return (config.campaigns || []).filter(campaign => {
+    const { start, end } = getCampaignWindow(campaign, timeZone);
+    return time >= start && time < end;
+  });
+}
+
+/**
+ * Find which of the line items' products each scoped campaign covers
+ *
+ * Returns a Map of product ID to the Set of IDs of scoped campaigns covering it. Campaigns without
+ * a scope cover every product and are left out.
+ */
+export async function getCampaignProducts(apiClient, lineItems, campaigns) {
+  const campaignProducts = new Map();
+  const scopedCampaigns = campaigns.filter(campaign => campaign.scope);
+  const productIds = [...new Set((lineItems || [])
+    .map(lineItem => lineItem.product_id)
+    .filter(Boolean)
+    .map(String))];
+
+  if (scopedCampaigns.length === 0 || productIds.length === 0) {
+    return campaignProducts;
+  }
+
+  const checkTags = scopedCampaigns.some(campaign => campaign.scope.productTags?.length > 0);
+  const checkCollections = scopedCampaigns.some(campaign => campaign.scope.collectionIds?.length > 0);
+  let products = productIds.map(productId => ({ legacyResourceId: productId, tags: [] }));
+
+  if (checkTags || checkCollections) {
+    const data = await graphqlRequest(apiClient, CAMPAIGN_PRODUCTS_QUERY, {
+      ids: productIds.map(productId => `gid://shopify/Product/${productId}`),
+      checkCollections
+    });
+    products = data.nodes.filter(Boolean);
+  }
+
+  products.forEach(product => {
+    const productId = String(product.legacyResourceId);
+    const tags = product.tags.map(tag => tag.toLowerCase());
+    const collectionIds = (product.collections?.nodes || []).map(collection => String(collection.legacyResourceId));
+
+    scopedCampaigns.forEach(({ id, scope }) => {
+      const covered = (scope.productIds || []).map(String).includes(productId)
+        || (scope.productTags || []).some(tag => tags.includes(tag.toLowerCase()))
+        || (scope.collectionIds || []).map(String).some(collectionId => collectionIds.includes(collectionId));
+
+      if (covered) {
+        campaignProducts.set(productId, new Set([...(campaignProducts.get(productId) || []), id]));
+      }
+    });
+  });
+
+  return campaignProducts;
+}
+
+/**
+ * Wrap getCampaignProducts so compare-and-swap retries only look the products up once per set of
+ * campaigns
+ */
+export function memoizeCampaignProducts(apiClient, lineItems) {
+  const cache = new Map();
+
+  return campaigns => {
+    const cacheKey = JSON.stringify(campaigns.map(campaign => campaign.scope || null));
+
+    if (!cache.has(cacheKey)) {
+      cache.set(cacheKey, getCampaignProducts(apiClient, lineItems, campaigns));
+    }
+
+    return cache.get(cacheKey);
+  };
+}
+
+/**
+ * Work out the campaign credits of an order's eligible lines
+ *
+ * `lines` are the `{ productId, earnable }` lines of the earning base, and `monthRevenue` the
+ * month's spend including the order, whose tier a multiplier applies to. Returns
+ * `[{ campaign, amount, revenue }]` with the credits and the spend each campaign covered. A
+ * multiplier campaign is returned even while the month's tier earns nothing, so its spend is on
+ * record to re-rate once the month reaches a tier.
+ */
+export function getCampaignCredits(config, campaigns, lines, monthRevenue, campaignProducts = new Map()) {
+  const tierPercentage = getTier(monthRevenue, config.tiers).percentage;
+  const totals = new Map();
+
+  lines.forEach(({ productId, earnable }) => {
+    const covering = campaigns
+      .filter(campaign => !campaign.scope || campaignProducts.get(String(productId))?.has(campaign.id))
+      .map(campaign => ({ campaign, amount: earnable * getBonusPercentage(campaign, tierPercentage) / 100 }))
+      .filter(isCreditingCampaign);
+
+    const applied = config.campaignStacking === 'stack'
+      ? covering
+      : covering.sort((a, b) => b.amount - a.amount).slice(0, 1);
+
+    applied.forEach(({ campaign, amount }) => {
+      const total = totals.get(campaign.id) || { campaign, amount: 0, revenue: 0 };
+      total.amount += amount;
+      total.revenue += earnable;
+      totals.set(campaign.id, total);
+    });
+  });
+
+  return [...totals.values()]
+    .map(({ campaign, amount, revenue }) => ({
+      campaign,
+      amount: parseFloat(amount.toFixed(2)),
+      revenue: parseFloat(revenue.toFixed(2))
+    }))
+    .filter(isCreditingCampaign);
+}
+
+/**
+ * Check whether a campaign's credits on some spend are worth an earn entry: any credits at all, or
+ * a multiplier that a higher tier would give credits
+ */
+function isCreditingCampaign({ campaign, amount }) {
+  return amount > 0 || campaign.multiplier > 1;
+}
+
+/**
+ * Build the entries re-rating the multiplier campaign credits a month's orders hold, after a
+ * change to the month's spend moved it to another tier
+ *
+ * Each order's credits from a multiplier campaign are brought to what the campaign's spend on the
+ * order, less the share of the order since reversed, earns at the new tier. `monthUpdate` is the
+ * result of updateMonthRevenue; `entryId` and `type` are those of the change that moved the tier,
+ * and `orderId` the order it belongs to. Returns no entries when the tier stayed the same.
+ */
+export function getMultiplierRerateEntries(state, monthKey, monthUpdate, { entryId, type, orderId, createdAt }) {
+  const { tiers } = state.config;
+  const tierPercentage = getTier(monthUpdate.monthRevenue, tiers).percentage;
+
+  if (tierPercentage === getTier(monthUpdate.previousMonthRevenue, tiers).percentage) {
+    return [];
+  }
+
+  const holdings = new Map();
+  state.ledger.entries
+    .filter(entry => entry.campaign && entry.month === monthKey)
+    .forEach(entry => {
+      const key = `${entry.orderId}:${entry.campaign}`;
+      const holding = holdings.get(key) || { held: 0 };
+      holding.held += parseFloat(entry.amount);
+      if (entry.type === 'earn' && !holding.earnEntry) {
+        holding.earnEntry = entry;
+      }
+      holdings.set(key, holding);
+    });
+
+  return [...holdings.values()]
+    .filter(({ earnEntry }) => earnEntry && getMultiplier(state.config, earnEntry) !== undefined)
+    .map(({ held, earnEntry }) => {
+      const reversedShare = Math.min(1, (parseFloat(state.reversedOrders[earnEntry.orderId]) || 0) / parseFloat(earnEntry.orderRevenue));
+      const revenue = parseFloat(earnEntry.revenue) * (1 - reversedShare);
+      const credits = revenue * tierPercentage * (getMultiplier(state.config, earnEntry) - 1) / 100;
+
+      return createLedgerEntry({
+        id: `${entryId}:rerate:${earnEntry.orderId}:campaign:${earnEntry.campaign}`,
+        type,
+        amount: credits - held,
+        orderId: earnEntry.orderId,
+        month: monthKey,
+        createdAt,
+        availableAt: earnEntry.availableAt,
+        campaign: earnEntry.campaign,
+        reratedBy: String(orderId)
+      });
+    })
+    .filter(entry => parseFloat(entry.amount) !== 0);
+}
+
+/**
+ * Get the multiplier of a campaign's earn entry, from the entry or, for entries written before it
+ * was recorded there, from the campaign's configuration; undefined for a bonus percentage
+ */
+function getMultiplier(config, earnEntry) {
+  return earnEntry.multiplier ?? (config.campaigns || []).find(campaign => campaign.id === earnEntry.campaign)?.multiplier;
+}
+
+/**
+ * Get the percentage of a line's spend a campaign adds on top of the tier rebate
+ */
+function getBonusPercentage(campaign, tierPercentage) {
+  return campaign.multiplier !== undefined
+    ? tierPercentage * (campaign.multiplier - 1)
+    : campaign.bonusPercentage;
+}
+
+/**
+ * Get the start and (exclusive) end of a campaign in milliseconds
+ */
+function getCampaignWindow({ startsAt, endsAt }, timeZone) {
+  const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const start = isDate(startsAt) ? Date.parse(getDayStart(startsAt, timeZone)) : Date.parse(startsAt);
+
+  if (!isDate(endsAt)) {
+    return { start, end: Date.parse(endsAt) + 1 };
+  }
+
+  return { start, end: Date.parse(getDayStart(getNextDateKey(endsAt), timeZone)) };
+}
@@ -0,0 +1,352 @@
+/**
+ * Credit Program Configuration
+ *
+ * The credit program's rules, read from the store-credit.config shop metafield. Missing or invalid
+ * settings fall back to DEFAULT_CONFIG.
+ */
+
+import { graphqlRequest } from './graphql.js';
+
+export const CONFIG_NAMESPACE = 'store-credit';
+export const CONFIG_KEY = 'config';
+
+// How overlapping campaigns combine on a line (see campaigns.js)
+export const STACKING_RULES = ['best', 'stack'];
+
+// What happens when a clawback takes the available balance below zero (see negative-balance.js)
+export const NEGATIVE_BALANCE_POLICIES = ['carry', 'write-off'];
+
+// Levels B2B credits can be pooled at (see pooling.js)
+export const POOLING_LEVELS = ['company', 'location'];
+
+export const DEFAULT_CONFIG = {
+  tiers: [
+    { threshold: 0, percentage: 0 },
+    { threshold: 10000, percentage: 2 },
+    { threshold: 20000, percentage: 3.5 },
+    { threshold: 50000, percentage: 4 }
+  ],
+  redemptionCapPercentage: 20,
+  availabilityDelayMonths: 1,
+  exclusions: {
+    productTags: [],
+    productIds: [],
+    collectionIds: [],
+    productMetafield: { namespace: 'store-credit', key: 'excluded' }
+  },
+  campaigns: [],
+  campaignStacking: 'best',
+  expiryMonths: null,
+  negativeBalancePolicy: 'carry',
+  pooling: null
+};
+
+// Checks of each top-level setting, returning a list of problems with it
+const SETTING_CHECKS = {
+  tiers: validateTiers,
+  redemptionCapPercentage: value => isNonNegativeNumber(value) && value <= 100
+    ? []
+    : ['redemptionCapPercentage must be a number from 0 to 100'],
+  availabilityDelayMonths: value => Number.isInteger(value) && value >= 0
+    ? []
+    : ['availabilityDelayMonths must be a non-negative integer'],
+  exclusions: validateExclusions,
+  campaigns: validateCampaigns,
+  campaignStacking: value => STACKING_RULES.includes(value)
+    ? []
+    : [`campaignStacking must be one of ${STACKING_RULES.join(', ')}`],
+  expiryMonths: value => value === null || (Number.isInteger(value) && value > 0)
+    ? []
+    : ['expiryMonths must be null or a positive integer'],
+  negativeBalancePolicy: value => NEGATIVE_BALANCE_POLICIES.includes(value)
+    ? []
+    : [`negativeBalancePolicy must be one of ${NEGATIVE_BALANCE_POLICIES.join(', ')}`],
+  pooling: value => value === null || POOLING_LEVELS.includes(value)
+    ? []
+    : [`pooling must be null or one of ${POOLING_LEVELS.join(', ')}`]
+};
+
+const CONFIG_QUERY = `
+  query CreditProgramConfig {
+    shop {
+      config: metafield(namespace: "${CONFIG_NAMESPACE}", key: "${CONFIG_KEY}") {
+        value
+      }
+    }
+  }
+`;
+
+const SHOP_ID_QUERY = `
+  query ShopId {
+    shop {
+      id
+    }
+  }
+`;
+
+const SET_CONFIG_MUTATION = `
+  mutation SetCreditProgramConfig($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const DELETE_CONFIG_MUTATION = `
+  mutation DeleteCreditProgramConfig($metafields: [MetafieldIdentifierInput!]!) {
+    metafieldsDelete(metafields: $metafields) {
+      deletedMetafields {
+        key
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+/**
+ * Raised when a credit program configuration does not match the schema
+ */
+export class InvalidConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid store credit program configuration: ${errors.join('; ')}`);
+    this.name = 'InvalidConfigError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Check a configuration against the schema, returning a list of problems
+ */
+export function validateConfig(config) {
+  if (!isObject(config)) {
+    return ['configuration must be a JSON object'];
+  }
+
+  return Object.entries(SETTING_CHECKS).flatMap(([key, check]) => check(config[key]));
+}
+
+/**
+ * Parse the config metafield value, filling in defaults for missing settings
+ *
+ * Each setting is checked on its own: an invalid one is reported and replaced with its default,
+ * so a bad edit to one setting leaves the rest of the program running as configured. A value that
+ * isn't a JSON object falls back to the defaults entirely.
+ */
+export function parseConfig(value) {
+  if (!value) {
+    return DEFAULT_CONFIG;
+  }
+
+  let config;
+
+  try {
+    config = typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (error) {
+    console.error('Error parsing store credit program configuration, using defaults:', error);
+    return DEFAULT_CONFIG;
+  }
+
+  if (!isObject(config)) {
+    console.error('Store credit program configuration must be a JSON object, using defaults');
+    return DEFAULT_CONFIG;
+  }
+
+  const parsed = withDefaults(config);
+
+  Object.entries(SETTING_CHECKS).forEach(([key, check]) => {
+    const errors = check(parsed[key]);
+
+    if (errors.length > 0) {
+      console.error(`Invalid store credit program setting ${key}, using the default: ${errors.join('; ')}`);
+      parsed[key] = DEFAULT_CONFIG[key];
+    }
+  });
+
+  return parsed;
+}
+
+/**
+ * Read the shop's credit program configuration, with defaults for missing settings
+ */
+export async function getConfig(apiClient) {
+  const { shop } = await graphqlRequest(apiClient, CONFIG_QUERY);
+  return parseConfig(shop.config?.value);
+}
+
+/**
+ * Validate a configuration and write it to the shop's config metafield
+ */
+export async function saveConfig(apiClient, config) {
+  const fullConfig = withDefaults(config);
+  const errors = validateConfig(fullConfig);
+
+  if (errors.length > 0) {
+    throw new InvalidConfigError(errors);
+  }
+
+  const { shop } = await graphqlRequest(apiClient, SHOP_ID_QUERY);
+  const data = await graphqlRequest(apiClient, SET_CONFIG_MUTATION, {
+    metafields: [{
+      ownerId: shop.id,
+      namespace: CONFIG_NAMESPACE,
+      key: CONFIG_KEY,
+      type: 'json',
+      value: JSON.stringify(fullConfig)
+    }]
+  });
+
+  if (data.metafieldsSet.userErrors.length > 0) {
+    throw new Error(`Failed to save store credit program configuration: ${JSON.stringify(data.metafieldsSet.userErrors)}`);
+  }
+
+  return fullConfig;
+}
+
+/**
+ * Delete the credit program configuration from the shop, returning whether there was one
+ */
+export async function deleteConfig(apiClient) {
+  const { shop } = await graphqlRequest(apiClient, SHOP_ID_QUERY);
+  const data = await graphqlRequest(apiClient, DELETE_CONFIG_MUTATION, {
+    metafields: [{ ownerId: shop.id, namespace: CONFIG_NAMESPACE, key: CONFIG_KEY }]
+  });
+
+  if (data.metafieldsDelete.userErrors.length > 0) {
+    throw new Error(`Failed to delete store credit program configuration: ${JSON.stringify(data.metafieldsDelete.userErrors)}`);
+  }
+
+  return data.metafieldsDelete.deletedMetafields.some(Boolean);
+}
+
+/**
+ * Fill in missing top-level settings and exclusion lists from the defaults
+ */
+function withDefaults(config) {
+  if (!isObject(config)) {
+    return config;
+  }
+
+  return {
+    ...DEFAULT_CONFIG,
+    ...config,
+    exclusions: {
+      ...DEFAULT_CONFIG.exclusions,
+      ...config.exclusions
+    }
+  };
+}
+
+/**
+ * Check the tiers setting, returning a list of problems
+ */
+function validateTiers(tiers) {
+  const errors = [];
+
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    return ['tiers must be a non-empty array'];
+  }
+
+  tiers.forEach((tier, index) => {
+    if (!isNonNegativeNumber(tier?.threshold)) {
+      errors.push(`tiers[${index}].threshold must be a non-negative number`);
+    }
+    if (!isNonNegativeNumber(tier?.percentage) || tier.percentage > 100) {
+      errors.push(`tiers[${index}].percentage must be a number from 0 to 100`);
+    }
+    if (index > 0 && tier?.threshold <= tiers[index - 1]?.threshold) {
+      errors.push('tiers must be sorted by ascending threshold');
+    }
+  });
+
+  if (tiers[0]?.threshold !== 0) {
+    errors.push('the first tier must start at a threshold of 0');
+  }
+
+  return errors;
+}
+
+/**
+ * Check the exclusions setting, returning a list of problems
+ */
+function validateExclusions(exclusions) {
+  const errors = [];
+
+  ['productTags', 'productIds', 'collectionIds'].forEach(key => {
+    if (!Array.isArray(exclusions?.[key])) {
+      errors.push(`exclusions.${key} must be an array`);
+    }
+  });
+
+  const productMetafield = exclusions?.productMetafield;
+  if (productMetafield !== null && (typeof productMetafield?.namespace !== 'string' || typeof productMetafield?.key !== 'string')) {
+    errors.push('exclusions.productMetafield must be null or an object with a namespace and a key');
+  }
+
+  return errors;
+}
+
+/**
+ * Check the campaigns setting, returning a list of problems
+ */
+function validateCampaigns(campaigns) {
+  const errors = [];
+
+  if (!Array.isArray(campaigns)) {
+    return ['campaigns must be an array'];
+  }
+
+  const ids = new Set();
+  campaigns.forEach((campaign, index) => {
+    const label = `campaigns[${index}]`;
+
+    if (typeof campaign?.id !== 'string' || campaign.id === '') {
+      errors.push(`${label}.id must be a non-empty string`);
+    } else if (ids.has(campaign.id)) {
+      errors.push(`${label}.id ${campaign.id} is used by another campaign`);
+    } else {
+      ids.add(campaign.id);
+    }
+
+    const start = Date.parse(campaign?.startsAt);
+    const end = Date.parse(campaign?.endsAt);
+    if (Number.isNaN(start) || Number.isNaN(end)) {
+      errors.push(`${label}.startsAt and endsAt must be dates`);
+    } else if (end < start) {
+      errors.push(`${label}.endsAt must not be before startsAt`);
+    }
+
+    const hasMultiplier = campaign?.multiplier !== undefined;
+    const hasBonus = campaign?.bonusPercentage !== undefined;
+    if (hasMultiplier === hasBonus) {
+      errors.push(`${label} must have either a multiplier or a bonusPercentage`);
+    } else if (hasMultiplier && !(typeof campaign.multiplier === 'number' && campaign.multiplier >= 1)) {
+      errors.push(`${label}.multiplier must be a number of at least 1`);
+    } else if (hasBonus && !(typeof campaign.bonusPercentage === 'number' && campaign.bonusPercentage > 0 && campaign.bonusPercentage <= 100)) {
+      errors.push(`${label}.bonusPercentage must be a number above 0 and up to 100`);
+    }
+
+    if (campaign?.scope !== undefined && campaign.scope !== null) {
+      ['productIds', 'productTags', 'collectionIds'].forEach(key => {
+        if (campaign.scope[key] !== undefined && !Array.isArray(campaign.scope[key])) {
+          errors.push(`${label}.scope.${key} must be an array`);
+        }
+      });
+    }
+  });
+
+  return errors;
+}
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
@@ -0,0 +1,61 @@
+/**
+ * Store Credit Calculations
+ *
+ * Shared by every webhook that changes a customer's spend: the month's revenue total is adjusted
+ * and the month's rebate is re-rated at whatever tier that total now reaches. The difference is
+ * written to the credit ledger by the caller.
+ */
+
+import { DEFAULT_CONFIG } from './config.js';
+
+/**
+ * Calculate the rebate earned for a month from that month's cumulative spend
+ */
+export function calculateEarnedCredits(monthRevenue, rebateTiers = DEFAULT_CONFIG.tiers) {
+  const applicableTier = getTier(monthRevenue, rebateTiers);
+
+  // Calculate earned credits
+  return parseFloat((monthRevenue * applicableTier.percentage / 100).toFixed(2));
+}
+
+/**
+ * Find the highest tier a month's cumulative spend reaches
+ */
+export function getTier(monthRevenue, rebateTiers = DEFAULT_CONFIG.tiers) {
+  let applicableTier = rebateTiers[0];
+  for (const tier of rebateTiers) {
+    if (monthRevenue >= tier.threshold) {
+      applicableTier = tier;
+    } else {
+      break;
+    }
+  }
+
+  return applicableTier;
+}
+
+/**
+ * Add (or with a negative delta, remove) revenue for a month and re-rate that month's rebate
+ *
+ * Returns the change in the month's rebate, which the caller records in the credit ledger.
+ */
+export function updateMonthRevenue(state, monthKey, revenueDelta) {
+  const previousMonthRevenue = parseFloat(state.revenueData[monthKey]) || 0;
+  const monthRevenue = Math.max(0, previousMonthRevenue + revenueDelta);
+
+  // Re-rate the whole month at the tier its cumulative spend has reached
+  const { tiers } = state.config;
+  const monthCredits = calculateEarnedCredits(monthRevenue, tiers);
+  const creditsDelta = parseFloat((monthCredits - calculateEarnedCredits(previousMonthRevenue, tiers)).toFixed(2));
+
+  state.revenueData[monthKey] = monthRevenue.toFixed(2);
+
+  return { previousMonthRevenue, monthRevenue, monthCredits, creditsDelta };
+}
+
+/**
+ * Update the customer's total revenue
+ */
+export function updateTotalRevenue(state, revenueDelta) {
+  state.totalRevenue = Math.max(0, state.totalRevenue + revenueDelta);
+}
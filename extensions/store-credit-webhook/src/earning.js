@@ -0,0 +1,118 @@
+/**
+ * Earning Base
+ *
+ * Credits are earned on the merchandise a customer paid for after discounts, in shop currency, not
+ * on the order total.
+ */
+
+import { getShopAmount } from './money.js';
+import { isStoreCreditDiscount } from './redemption.js';
+
+/**
+ * Build the earnable amount of an order, its breakdown and the earnable amount of each eligible
+ * line (for campaigns scoped to some products)
+ *
+ * `excludedProducts` maps the IDs of products that never earn credits to the reason, as returned
+ * by getExcludedProducts.
+ */
+export function getEarningBase(orderData, excludedProducts = new Map()) {
+  // Indexes of the order's store credit discount applications, to tell their allocations apart
+  const storeCreditIndexes = new Set();
+  (orderData.discount_applications || []).forEach((application, index) => {
+    if (isStoreCreditDiscount(application)) {
+      storeCreditIndexes.add(index);
+    }
+  });
+
+  let merchandise = 0;
+  let discounts = 0;
+  let storeCredits = 0;
+  let giftCards = 0;
+  let excludedProductsTotal = 0;
+  const excludedLines = [];
+  const lines = [];
+
+  (orderData.line_items || []).forEach(lineItem => {
+    const lineTaxes = orderData.taxes_included ? sumAmounts(lineItem.tax_lines, 'price') : 0;
+    const lineTotal = getShopAmount(lineItem, 'price') * lineItem.quantity - lineTaxes;
+    let lineDiscounts = 0;
+    let lineStoreCredits = 0;
+
+    (lineItem.discount_allocations || []).forEach(allocation => {
+      if (storeCreditIndexes.has(allocation.discount_application_index)) {
+        lineStoreCredits += getShopAmount(allocation, 'amount');
+      } else {
+        lineDiscounts += getShopAmount(allocation, 'amount');
+      }
+    });
+
+    // Buying a gift card is buying money, not merchandise
+    if (lineItem.gift_card) {
+      giftCards += lineTotal - lineDiscounts - lineStoreCredits;
+      return;
+    }
+
+    const exclusionReason = excludedProducts.get(String(lineItem.product_id));
+    if (exclusionReason) {
+      const excludedAmount = lineTotal - lineDiscounts - lineStoreCredits;
+      excludedProductsTotal += excludedAmount;
+      excludedLines.push({
+        lineItemId: lineItem.id,
+        productId: lineItem.product_id,
+        title: lineItem.title,
+        amount: excludedAmount.toFixed(2),
+        reason: exclusionReason
+      });
+      return;
+    }
+
+    merchandise += lineTotal;
+    discounts += lineDiscounts;
+    storeCredits += lineStoreCredits;
+    lines.push({ productId: lineItem.product_id, earnable: Math.max(0, lineTotal - lineDiscounts - lineStoreCredits) });
+  });
+
+  const earnable = Math.max(0, merchandise - discounts - storeCredits);
+
+  return {
+    earnable: parseFloat(earnable.toFixed(2)),
+    lines,
+    breakdown: {
+      merchandise: merchandise.toFixed(2),
+      discounts: discounts.toFixed(2),
+      storeCredits: storeCredits.toFixed(2),
+      earnable: earnable.toFixed(2),
+      excluded: {
+        giftCards: giftCards.toFixed(2),
+        products: excludedProductsTotal.toFixed(2),
+        shipping: sumAmounts(orderData.shipping_lines, 'price').toFixed(2),
+        taxes: getShopAmount(orderData, 'total_tax').toFixed(2),
+        tips: (parseFloat(orderData.total_tip_received) || 0).toFixed(2)
+      },
+      excludedLines
+    }
+  };
+}
+
+/**
+ * Build the earnable amount taken back by a refund: the refunded line items after discounts and
+ * before tax, leaving out gift cards and excluded products. Refunded shipping never earned
+ * credits, so it is ignored.
+ *
+ * `taxesIncluded` is the order's `taxes_included`, when the refunded subtotals include their tax.
+ */
+export function getRefundedEarningBase(refundData, excludedProducts = new Map(), taxesIncluded = false) {
+  const refunded = (refundData.refund_line_items || [])
+    .filter(refundLineItem => !refundLineItem.line_item?.gift_card)
+    .filter(refundLineItem => !excludedProducts.has(String(refundLineItem.line_item?.product_id)))
+    .reduce((total, refundLineItem) => {
+      const tax = taxesIncluded ? getShopAmount(refundLineItem, 'total_tax') : 0;
+      return total + getShopAmount(refundLineItem, 'subtotal') - tax;
+    }, 0);
+
+  return parseFloat(refunded.toFixed(2));
+}
+
+function sumAmounts(items, key) {
+  return (items || []).reduce((total, item) => total + getShopAmount(item, key), 0);
+}
@@ -0,0 +1,269 @@
+/**
+ * Credit Engine
+ *
+ * The changes an order, a cancellation or a refund makes to a customer's credit state. They only
+ * touch the state object they are given, so the webhook handlers run them inside a
+ * compare-and-swap update and the backfill command runs them over a customer's order history.
+ */
+
+import { getActiveCampaigns, getCampaignCredits, getMultiplierRerateEntries } from './campaigns.js';
+import { getTier, updateMonthRevenue, updateTotalRevenue } from './credits.js';
+import { getEarningBase } from './earning.js';
+import { appendLedgerEntries, createLedgerEntry, getAvailableAt } from './ledger.js';
+import { getMonthKey } from './months.js';
+import { getWriteOffEntry } from './negative-balance.js';
+import { isProcessed, recordProcessed } from './processed-orders.js';
+import { createRedemptionEntry, getRedeemedCredits } from './redemption.js';
+
+// How long after an order was placed a reversal of it waits for the order to be credited: past
+// Shopify's webhook retries and the retry queue, an order that was never credited won't be
+const UNCREDITED_ORDER_WAIT_DAYS = 7;
+
+/**
+ * Raised when a cancellation or refund arrives before the order it reverses has been credited
+ *
+ * Thrown rather than skipped, so the webhook goes on the retry queue and is reversed once the
+ * order's own webhook has been processed, or ends up in the dead-letter store.
+ */
+export class OrderNotCreditedError extends Error {
+  constructor(orderId) {
+    super(`Order ${orderId} has not been credited yet, so it can't be reversed`);
+    this.name = 'OrderNotCreditedError';
+    this.orderId = orderId;
+  }
+}
+
+/**
+ * Credit an order: add its earning base to its month, re-rate the month, add the credits of any
+ * campaigns running when it was placed and debit any store credits it was paid with
+ *
+ * `campaignProducts` maps product IDs to the scoped campaigns covering them, as returned by
+ * getCampaignProducts. Returns the month update with the campaign credits added, or false when
+ * the order was already processed.
+ */
+export function creditOrder(state, orderData, excludedProducts, campaignProducts = new Map()) {
+  const orderId = orderData.id;
+
+  // Skip webhook retries for orders that were already credited
+  if (isProcessed(state, orderId)) {
+    console.log(`Order ${orderId} was already processed, skipping duplicate delivery`);
+    return false;
+  }
+
+  // Credits and revenue are tracked under the month the order was placed in, in the shop's timezone
+  const monthKey = getMonthKey(orderData.created_at, state.timeZone);
+  const { earnable, lines, breakdown } = getEarningBase(orderData, excludedProducts);
+  const redeemedCredits = getRedeemedCredits(orderData);
+
+  // Add the order to the month's revenue and re-rate the month's rebate
+  const monthUpdate = updateMonthRevenue(state, monthKey, earnable);
+
+  // Also update the total revenue
+  updateTotalRevenue(state, earnable);
+
+  const newEntries = [];
+  const availableAt = getAvailableAt(monthKey, state.timeZone, state.config.availabilityDelayMonths);
+
+  // The earn entry carries the whole change in the month's rebate, including any re-rating of
+  // earlier orders when this one moved the month into a higher tier. Every order with an earning
+  // base or excluded lines gets one, even when nothing was earned, so the base its reversals are
+  // capped at and the exclusions are on record.
+  if (earnable > 0 || breakdown.excludedLines.length > 0) {
+    newEntries.push(createLedgerEntry({
+      id: `earn:${orderId}`,
+      type: 'earn',
+      amount: monthUpdate.creditsDelta,
+      orderId,
+      month: monthKey,
+      createdAt: orderData.created_at,
+      availableAt,
+      revenue: earnable.toFixed(2),
+      tierPercentage: getTier(monthUpdate.monthRevenue, state.config.tiers).percentage,
+      earningBase: breakdown
+    }));
+  }
+
+  // Each campaign's credits are an entry of their own, so the month's tier credits stay separate
+  const campaigns = getActiveCampaigns(state.config, orderData.created_at, state.timeZone);
+  const campaignCredits = getCampaignCredits(state.config, campaigns, lines, monthUpdate.monthRevenue, campaignProducts);
+
+  campaignCredits.forEach(({ campaign, amount, revenue }) => {
+    newEntries.push(createLedgerEntry({
+      id: `earn:${orderId}:campaign:${campaign.id}`,
+      type: 'earn',
+      amount,
+      orderId,
+      month: monthKey,
+      createdAt: orderData.created_at,
+      availableAt,
+      revenue: revenue.toFixed(2),
+      orderRevenue: earnable.toFixed(2),
+      campaign: campaign.id,
+      campaignName: campaign.name || campaign.id,
+      multiplier: campaign.multiplier
+    }));
+  });
+
+  // Multiplier credits the month's earlier orders hold follow the month into its new tier
+  newEntries.push(...getMultiplierRerateEntries(state, monthKey, monthUpdate, {
+    entryId: `earn:${orderId}`,
+    type: 'earn',
+    orderId,
+    createdAt: orderData.created_at
+  }));
+
+  // Debit any store credits the order was paid with
+  if (redeemedCredits > 0) {
+    const redemptionEntry = createRedemptionEntry(state.ledger, orderData, monthKey, redeemedCredits);
+    if (redemptionEntry) {
+      newEntries.push(redemptionEntry);
+    }
+  }
+
+  state.ledger = appendLedgerEntries(state.ledger, newEntries);
+
+  // Recorded in the same write, so the order is marked processed exactly when it is credited
+  recordProcessed(state, orderId, orderData.created_at);
+
+  return {
+    ...monthUpdate,
+    monthKey,
+    campaignCredits: parseFloat(campaignCredits.reduce((total, { amount }) => total + amount, 0).toFixed(2))
+  };
+}
+
+/**
+ * Remove up to `amount` of an order's revenue from its month and from the lifetime total, never
+ * reversing more than the earning base the order was credited with across all its cancellations
+ * and refunds
+ *
+ * `amount` defaults to all of it. `processedEntry` identifies the cancellation or refund so
+ * duplicate deliveries are skipped, and `processedAt` is when it happened. Returns the amount
+ * reversed, or false when there is nothing to do: a duplicate, or an order placed more than
+ * UNCREDITED_ORDER_WAIT_DAYS earlier that was never credited (placed before the app was
+ * installed, or redacted since). Throws OrderNotCreditedError when a more recent order hasn't been
+ * credited yet.
+ */
+export function reverseOrderCredits(state, orderData, processedEntry, { amount = Infinity, processedAt }) {
+  if (!isProcessed(state, orderData.id)) {
+    const waited = new Date(processedAt || Date.now()) - new Date(orderData.created_at);
+
+    if (waited > UNCREDITED_ORDER_WAIT_DAYS * 24 * 60 * 60 * 1000) {
+      console.log(`Order ${orderData.id} was never credited, nothing to reverse for ${processedEntry}`);
+      return false;
+    }
+
+    throw new OrderNotCreditedError(orderData.id);
+  }
+
+  if (isProcessed(state, processedEntry)) {
+    console.log(`${processedEntry} was already processed, skipping duplicate delivery`);
+    return false;
+  }
+
+  // Never take back more than the order added in the first place
+  const alreadyReversed = parseFloat(state.reversedOrders[orderData.id]) || 0;
+  const orderLimit = getCreditedEarningBase(state, orderData.id);
+  const toReverse = parseFloat(Math.max(0, Math.min(amount, orderLimit - alreadyReversed)).toFixed(2));
+
+  if (toReverse > 0) {
+    const monthKey = getMonthKey(orderData.created_at, state.timeZone);
+    const monthUpdate = updateMonthRevenue(state, monthKey, -toReverse);
+    const { creditsDelta } = monthUpdate;
+    updateTotalRevenue(state, -toReverse);
+
+    // Take the credits back from the month they were earned in, so they leave the same pot
+    if (creditsDelta !== 0) {
+      state.ledger = appendLedgerEntries(state.ledger, [createLedgerEntry({
+        id: `reverse:${processedEntry}`,
+        type: 'reverse',
+        amount: creditsDelta,
+        orderId: orderData.id,
+        month: monthKey,
+        createdAt: processedAt,
+        availableAt: getAvailableAt(monthKey, state.timeZone, state.config.availabilityDelayMonths),
+        revenue: (-toReverse).toFixed(2),
+        tierPercentage: getTier(monthUpdate.monthRevenue, state.config.tiers).percentage
+      })]);
+    }
+
+    // Campaign credits go back with the revenue they were earned on
+    state.ledger = appendLedgerEntries(
+      state.ledger,
+      reverseCampaignCredits(state, orderData.id, processedEntry, toReverse, alreadyReversed, processedAt)
+    );
+    state.reversedOrders[orderData.id] = (alreadyReversed + toReverse).toFixed(2);
+
+    // Multiplier credits the month's orders hold follow the month into its lower tier
+    state.ledger = appendLedgerEntries(state.ledger, getMultiplierRerateEntries(state, monthKey, monthUpdate, {
+      entryId: `reverse:${processedEntry}`,
+      type: 'reverse',
+      orderId: orderData.id,
+      createdAt: processedAt
+    }));
+
+    // Credits the customer already spent leave the balance below zero, unless the program writes
+    // them off
+    const writeOff = getWriteOffEntry(state, `reverse:${processedEntry}`, { orderId: orderData.id, month: monthKey, processedAt });
+    if (writeOff) {
+      state.ledger = appendLedgerEntries(state.ledger, [writeOff]);
+    }
+
+    console.log(`Adjusted store credits by ${creditsDelta} for ${monthKey}`);
+  }
+
+  recordProcessed(state, processedEntry, processedAt || new Date());
+
+  return toReverse;
+}
+
+/**
+ * Get the earning base an order was credited with, as recorded on its earn entry
+ *
+ * Orders credited without one had no earning base, so there is nothing of them to reverse.
+ */
+function getCreditedEarningBase(state, orderId) {
+  const earnEntry = state.ledger.entries.find(entry => entry.id === `earn:${orderId}`);
+  return earnEntry ? parseFloat(earnEntry.revenue) || 0 : 0;
+}
+
+/**
+ * Build the entries taking back an order's campaign credits along with part of its revenue
+ *
+ * Each campaign gives back the share of what the order still holds from it that `toReverse` is of
+ * the order's earning base not yet reversed, so reversing the whole order takes back all of it.
+ */
+function reverseCampaignCredits(state, orderId, processedEntry, toReverse, alreadyReversed, processedAt) {
+  const campaigns = new Map();
+
+  state.ledger.entries
+    .filter(entry => entry.campaign && entry.orderId === String(orderId))
+    .forEach(entry => {
+      const campaign = campaigns.get(entry.campaign) || { remaining: 0 };
+      campaign.remaining += parseFloat(entry.amount);
+      if (entry.type === 'earn' && !campaign.earnEntry) {
+        campaign.earnEntry = entry;
+      }
+      campaigns.set(entry.campaign, campaign);
+    });
+
+  return [...campaigns.entries()]
+    .filter(([, { earnEntry }]) => earnEntry)
+    .map(([campaignId, { remaining, earnEntry }]) => {
+      const remainingRevenue = parseFloat(earnEntry.orderRevenue) - alreadyReversed;
+      const share = remainingRevenue > 0 ? Math.min(1, toReverse / remainingRevenue) : 1;
+
+      return createLedgerEntry({
+        id: `reverse:${processedEntry}:campaign:${campaignId}`,
+        type: 'reverse',
+        amount: -parseFloat((remaining * share).toFixed(2)),
+        orderId,
+        month: earnEntry.month,
+        createdAt: processedAt,
+        availableAt: earnEntry.availableAt,
+        revenue: (-toReverse).toFixed(2),
+        campaign: campaignId
+      });
+    })
+    .filter(entry => parseFloat(entry.amount) < 0);
+}
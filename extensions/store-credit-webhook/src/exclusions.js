@@ -0,0 +1,110 @@
+/**
+ * Earning Exclusions
+ *
+ * Products that never earn store credits, configured in the exclusions of the credit program:
+ * by product ID, by product tag, by a true boolean product metafield (store-credit.excluded by
+ * default) or by membership of a collection. The storefront evaluates the same rules in the
+ * store-credit-product-eligibility snippet.
+ */
+
+import { graphqlRequest } from './graphql.js';
+
+const PRODUCT_EXCLUSIONS_QUERY = `
+  query ProductExclusions(
+    $ids: [ID!]!
+    $metafieldNamespace: String = ""
+    $metafieldKey: String = ""
+    $checkMetafield: Boolean!
+    $checkCollections: Boolean!
+  ) {
+    nodes(ids: $ids) {
+      ... on Product {
+        legacyResourceId
+        tags
+        excluded: metafield(namespace: $metafieldNamespace, key: $metafieldKey) @include(if: $checkMetafield) {
+          value
+        }
+        collections(first: 250) @include(if: $checkCollections) {
+          nodes {
+            legacyResourceId
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Find which of an order's products are excluded from earning, and why
+ *
+ * Returns a Map of product ID to the reason, e.g. "product", "tag:clearance", "metafield" or
+ * "collection:123".
+ */
+export async function getExcludedProducts(apiClient, lineItems, exclusions) {
+  const excludedProducts = new Map();
+  const excludedProductIds = exclusions.productIds.map(String);
+  const productIds = [...new Set((lineItems || [])
+    .map(lineItem => lineItem.product_id)
+    .filter(Boolean)
+    .map(String))];
+
+  productIds.forEach(productId => {
+    if (excludedProductIds.includes(productId)) {
+      excludedProducts.set(productId, 'product');
+    }
+  });
+
+  const checkTags = exclusions.productTags.length > 0;
+  const checkMetafield = Boolean(exclusions.productMetafield);
+  const checkCollections = exclusions.collectionIds.length > 0;
+  const productsToLookUp = productIds.filter(productId => !excludedProducts.has(productId));
+
+  if (productsToLookUp.length === 0 || !(checkTags || checkMetafield || checkCollections)) {
+    return excludedProducts;
+  }
+
+  const data = await graphqlRequest(apiClient, PRODUCT_EXCLUSIONS_QUERY, {
+    ids: productsToLookUp.map(productId => `gid://shopify/Product/${productId}`),
+    metafieldNamespace: exclusions.productMetafield?.namespace,
+    metafieldKey: exclusions.productMetafield?.key,
+    checkMetafield,
+    checkCollections
+  });
+
+  const excludedTags = exclusions.productTags.map(tag => tag.toLowerCase());
+  const excludedCollectionIds = exclusions.collectionIds.map(String);
+
+  data.nodes.filter(Boolean).forEach(product => {
+    const excludedTag = product.tags.find(tag => excludedTags.includes(tag.toLowerCase()));
+    const excludedCollection = (product.collections?.nodes || [])
+      .find(collection => excludedCollectionIds.includes(String(collection.legacyResourceId)));
+
+    if (excludedTag) {
+      excludedProducts.set(String(product.legacyResourceId), `tag:${excludedTag}`);
+    } else if (product.excluded?.value === 'true') {
+      excludedProducts.set(String(product.legacyResourceId), 'metafield');
+    } else if (excludedCollection) {
+      excludedProducts.set(String(product.legacyResourceId), `collection:${excludedCollection.legacyResourceId}`);
+    }
+  });
+
+  return excludedProducts;
+}
+
+/**
+ * Wrap getExcludedProducts so repeated calls for the same line items and exclusions, such as
+ * compare-and-swap retries, only look the products up once
+ */
+export function memoizeExcludedProducts(apiClient, lineItems) {
+  const cache = new Map();
+
+  return exclusions => {
+    const cacheKey = JSON.stringify(exclusions);
+
+    if (!cache.has(cacheKey)) {
+      cache.set(cacheKey, getExcludedProducts(apiClient, lineItems, exclusions));
+    }
+
+    return cache.get(cacheKey);
+  };
+}
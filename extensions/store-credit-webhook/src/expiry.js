@@ -0,0 +1,165 @@
+/**
+ * Credit Expiry
+ *
+ * With expiryMonths set, each credited lot ages on its own and what is left of it is written off on
+ * its expiry date.
+ */
+
+import { createLedgerEntry, getAvailableAt } from './ledger.js';
+import { getMonthKey } from './months.js';
+
+/**
+ * Get the date the credits of a ledger entry expire
+ */
+export function getExpiresAt(entry, expiryMonths, timeZone) {
+  return getAvailableAt(getMonthKey(entry.availableAt, timeZone), timeZone, expiryMonths);
+}
+
+/**
+ * Age a customer's ledger as of a moment
+ *
+ * Returns the lots with what is left of each, in cents, and the expire entries that are due but
+ * not yet in the ledger, `{ lots, due }`. Returns no lots when expiry is switched off.
+ */
+export function ageLedger(state, asOf = new Date()) {
+  const { expiryMonths } = state.config;
+
+  if (!expiryMonths) {
+    return { lots: [], due: [] };
+  }
+
+  const cutoff = new Date(asOf).getTime();
+  const lots = [];
+  const events = [];
+
+  state.ledger.entries.forEach(entry => {
+    const cents = toCents(entry.amount);
+
+    if (entry.type === 'expire') {
+      events.push({ time: Date.parse(entry.availableAt), order: 2, entry, cents });
+    } else if (cents > 0) {
+      const expiresAt = getExpiresAt(entry, expiryMonths, state.timeZone);
+      const lot = { entry, remaining: cents, availableAt: Date.parse(entry.availableAt), expiresAt, expired: false };
+      lots.push(lot);
+      events.push({ time: lot.availableAt, order: 0, lot, becomesAvailable: true });
+
+      if (Date.parse(expiresAt) <= cutoff) {
+        events.push({ time: Date.parse(expiresAt), order: 2, lot });
+      }
+    } else if (cents < 0) {
+      events.push({ time: Date.parse(entry.availableAt), order: 1, entry, cents });
+    }
+  });
+
+  // Lots become available before the debits at the same moment, and expire after them
+  events.sort((a, b) => a.time - b.time || a.order - b.order);
+
+  const expiredLots = new Set(state.ledger.entries
+    .filter(entry => entry.type === 'expire')
+    .map(entry => entry.expiredEntry));
+  const due = [];
+  let owed = 0;
+
+  events.forEach(event => {
+    // A lot that becomes available first pays off whatever is owed
+    if (event.becomesAvailable) {
+      const paid = Math.min(owed, event.lot.remaining);
+      event.lot.remaining -= paid;
+      owed -= paid;
+      return;
+    }
+
+    // A lot reaching its expiry date is written off, unless an expire entry already did that
+    if (event.lot) {
+      if (!expiredLots.has(event.lot.entry.id) && event.lot.remaining > 0) {
+        due.push({ lot: event.lot, cents: event.lot.remaining });
+        event.lot.remaining = 0;
+      }
+      event.lot.expired = true;
+      return;
+    }
+
+    if (event.entry.type === 'expire') {
+      const lot = lots.find(candidate => candidate.entry.id === event.entry.expiredEntry);
+      if (lot) {
+        lot.remaining = Math.max(0, lot.remaining + event.cents);
+        lot.expired = true;
+      }
+      return;
+    }
+
+    owed += consume(lots, event);
+  });
+
+  return { lots, due };
+}
+
+/**
+ * Build the expire entries of the credits that expired by `asOf` and are not written off yet
+ *
+ * Returns none when expiry is switched off.
+ */
+export function getDueExpiryEntries(state, asOf = new Date()) {
+  return ageLedger(state, asOf).due.map(({ lot, cents }) => createLedgerEntry({
+    id: `expire:${lot.entry.id}`,
+    type: 'expire',
+    amount: -cents / 100,
+    orderId: lot.entry.orderId,
+    month: lot.entry.month,
+    createdAt: lot.expiresAt,
+    availableAt: lot.expiresAt,
+    expiredEntry: lot.entry.id
+  }));
+}
+
+/**
+ * Get the credits that are still to expire, as `[{ expiresAt, amount }]` by expiry date, soonest
+ * first, or null when expiry is switched off
+ */
+export function getUpcomingExpirations(state, asOf = new Date()) {
+  if (!state.config.expiryMonths) {
+    return null;
+  }
+
+  const totals = new Map();
+  ageLedger(state, asOf).lots
+    .filter(lot => !lot.expired && lot.remaining > 0)
+    .forEach(lot => totals.set(lot.expiresAt, (totals.get(lot.expiresAt) || 0) + lot.remaining));
+
+  return [...totals.entries()]
+    .sort(([a], [b]) => Date.parse(a) - Date.parse(b))
+    .map(([expiresAt, cents]) => ({ expiresAt, amount: (cents / 100).toFixed(2) }));
+}
+
+/**
+ * Take a debit out of the lots: a reversal first from the lots of its month, then every debit from
+ * the available lots that expire soonest
+ *
+ * Returns the cents the lots could not cover.
+ */
+function consume(lots, { time, entry, cents }) {
+  let owed = -cents;
+  const usable = lots
+    .filter(lot => !lot.expired && lot.remaining > 0 && lot.availableAt <= time)
+    .sort((a, b) => Date.parse(a.expiresAt) - Date.parse(b.expiresAt) || a.availableAt - b.availableAt);
+
+  const ordered = entry.type === 'reverse'
+    ? [...usable.filter(lot => lot.entry.month === entry.month), ...usable.filter(lot => lot.entry.month !== entry.month)]
+    : usable;
+
+  for (const lot of ordered) {
+    if (owed <= 0) {
+      break;
+    }
+
+    const taken = Math.min(owed, lot.remaining);
+    lot.remaining -= taken;
+    owed -= taken;
+  }
+
+  return owed;
+}
+
+function toCents(amount) {
+  return Math.round(parseFloat(amount) * 100);
+}
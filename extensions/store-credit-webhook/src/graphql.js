@@ -0,0 +1,21 @@
+/**
+ * GraphQL Admin API Requests
+ */
+
+/**
+ * Run a GraphQL Admin API request and return its data
+ */
+export async function graphqlRequest(apiClient, query, variables) {
+  const response = await apiClient.query({
+    data: {
+      query,
+      variables
+    }
+  });
+
+  if (response.body.errors) {
+    throw new Error(`GraphQL request failed: ${JSON.stringify(response.body.errors)}`);
+  }
+
+  return response.body.data;
+}
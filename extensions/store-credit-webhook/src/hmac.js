@@ -0,0 +1,30 @@
+/**
+ * Webhook Signatures
+ *
+ * Shopify signs every webhook delivery with the app's API secret: the X-Shopify-Hmac-Sha256 header
+ * is the base64 HMAC-SHA256 digest of the raw request body. The body must be verified exactly as
+ * received, before it is parsed.
+ */
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+/**
+ * Compute the signature Shopify sends for a webhook body
+ */
+export function signWebhookBody(rawBody, secret) {
+  return createHmac('sha256', secret).update(rawBody).digest('base64');
+}
+
+/**
+ * Check a webhook body against its X-Shopify-Hmac-Sha256 header in constant time
+ */
+export function verifyWebhookHmac(rawBody, hmacHeader, secret) {
+  if (!hmacHeader || !secret) {
+    return false;
+  }
+
+  const expected = Buffer.from(signWebhookBody(rawBody, secret), 'base64');
+  const received = Buffer.from(String(hmacHeader), 'base64');
+
+  return expected.length === received.length && timingSafeEqual(expected, received);
+}
@@ -1,274 +1,84 @@
 /**
  * Order Created Webhook Handler
  * 
- * This function processes new orders and updates customer store credits based on purchase amount
- * and the appropriate rebate tier.
+ * Credits a new order to its customer, or to their B2B pool, at the month's rebate tier and debits
+ * any store credits it was paid with. Errors are rethrown so the delivery is retried.
  */
 
+import { getActiveCampaigns, memoizeCampaignProducts } from './campaigns.js';
+import { creditOrder } from './engine.js';
+import { memoizeExcludedProducts } from './exclusions.js';
+import { updateCustomerCredits } from './metafields.js';
+import { notifyCreditChanges } from './notifications.js';
+import { getCreditOwnerId } from './pooling.js';
+import { createPrivacyHandlers } from './privacy.js';
+import { orderCancelled, refundCreated } from './reversals.js';
+
+export { calculateEarnedCredits } from './credits.js';
+export { DEFAULT_CONFIG, parseConfig, saveConfig, validateConfig } from './config.js';
+export { getLedgerBalance, migrateRebateData } from './ledger.js';
+export { createPrivacyHandlers, orderCancelled, refundCreated };
+
 export default async function orderCreated(topic, shop, webhookRequestBody, apiClient) {
   try {
     // Parse the webhook body
     const orderData = JSON.parse(webhookRequestBody);
-    
+
     // Extract necessary information
+    const orderId = orderData.id;
     const customerId = orderData.customer?.id;
-    const orderTotal = parseFloat(orderData.total_price);
-    
-    // If no customer ID or order total is invalid, exit
-    if (!customerId || isNaN(orderTotal) || orderTotal <= 0) {
+
+    // If no order or customer ID, exit
+    if (!orderId || !customerId) {
       console.log('Invalid order data for store credit processing');
       return;
     }
-    
-    // Get current date information for credit tracking
-    const currentDate = new Date();
-    const currentYear = currentDate.getFullYear();
-    const currentMonth = currentDate.getMonth();
-    const yearMonthKey = `${currentYear}-${currentMonth}`;
-    
-    // Calculate earned credits based on purchase amount and tier
-    const earnedCredits = calculateEarnedCredits(orderTotal);
-    
-    if (earnedCredits <= 0) {
-      console.log('No credits earned for this order');
-      return;
-    }
-    
-    // Fetch current customer metafields
-    const customerResponse = await apiClient.get({
-      path: `customers/${customerId}`,
-      query: {
-        fields: 'id,email'
-      }
-    });
-    
-    if (!customerResponse.body.customer) {
-      console.log('Customer not found');
+
+    // Credits are earned on merchandise after discounts, not on shipping, taxes or gift cards.
+    // Product exclusions need the program configuration, so they are applied once it is read.
+    // Orders without any are still recorded as processed, so their refunds find them.
+    const getExcludedProducts = memoizeExcludedProducts(apiClient, orderData.line_items);
+    const getCampaignProducts = memoizeCampaignProducts(apiClient, orderData.line_items);
+    const ownerId = await getCreditOwnerId(apiClient, orderData);
+
+    const result = await updateCustomerCredits(apiClient, ownerId, async state => {
+      const campaigns = getActiveCampaigns(state.config, orderData.created_at, state.timeZone);
+
+      return creditOrder(
+        state,
+        orderData,
+        await getExcludedProducts(state.config.exclusions),
+        await getCampaignProducts(campaigns)
+      );
+    }, { onWrite: notifyCreditChanges });
+
+    if (!result) {
       return;
     }
-    
-    // Fetch existing rebate metafield
-    const metafieldResponse = await apiClient.get({
-      path: `customers/${customerId}/metafields`,
-      query: {
-        namespace: 'custom',
-        key: 'rebate'
-      }
-    });
-    
-    let rebateData = {};
-    let metafieldId = null;
-    
-    // Process existing metafield if it exists
-    if (metafieldResponse.body.metafields && metafieldResponse.body.metafields.length > 0) {
-      const rebateMetafield = metafieldResponse.body.metafields[0];
-      metafieldId = rebateMetafield.id;
-      
-      try {
-        rebateData = JSON.parse(rebateMetafield.value);
-      } catch (error) {
-        console.error('Error parsing existing rebate data:', error);
-        rebateData = {};
-      }
-    }
-    
-    // Update rebate data with new credits
-    if (rebateData[yearMonthKey]) {
-      rebateData[yearMonthKey] = (parseFloat(rebateData[yearMonthKey]) + earnedCredits).toFixed(2);
-    } else {
-      rebateData[yearMonthKey] = earnedCredits.toFixed(2);
-    }
-    
-    // Update or create the rebate metafield
-    if (metafieldId) {
-      // Update existing metafield
-      await apiClient.put({
-        path: `customers/${customerId}/metafields/${metafieldId}`,
-        data: {
-          metafield: {
-            id: metafieldId,
-            value: JSON.stringify(rebateData),
-            type: 'json_string'
-          }
-        }
-      });
-    } else {
-      // Create new metafield
-      await apiClient.post({
-        path: `customers/${customerId}/metafields`,
-        data: {
-          metafield: {
-            namespace: 'custom',
-            key: 'rebate',
-            value: JSON.stringify(rebateData),
-            type: 'json_string'
-          }
-        }
-      });
-    }
-    
-    // Update revenue tracking metafield
-    await updateRevenueTracking(apiClient, customerId, orderTotal, yearMonthKey);
-    
-    console.log(`Successfully updated store credits for customer ${customerId}. Added ${earnedCredits} credits for ${yearMonthKey}`);
-  } catch (error) {
-    console.error('Error processing order for store credits:', error);
-  }
-}
 
-/**
- * Calculate earned credits based on purchase amount and tier
- */
-function calculateEarnedCredits(purchaseAmount) {
-  // Define rebate tiers based on the scenario
-  const rebateTiers = [
-    { threshold: 0, percentage: 0 },
-    { threshold: 10000, percentage: 2 },
-    { threshold: 20000, percentage: 3.5 },
-    { threshold: 50000, percentage: 4 }
-  ];
-  
-  // Find applicable tier
-  let applicableTier = rebateTiers[0];
-  for (const tier of rebateTiers) {
-    if (purchaseAmount >= tier.threshold) {
-      applicableTier = tier;
-    } else {
-      break;
-    }
-  }
-  
-  // Calculate earned credits
-  return parseFloat((purchaseAmount * applicableTier.percentage / 100).toFixed(2));
-}
+    const { monthKey, monthRevenue, monthCredits, creditsDelta, campaignCredits } = result;
 
-/**
- * Update revenue tracking metafield
- */
-async function updateRevenueTracking(apiClient, customerId, orderTotal, yearMonthKey) {
-  try {
-    // Fetch existing revenue_track metafield
-    const metafieldResponse = await apiClient.get({
-      path: `customers/${customerId}/metafields`,
-      query: {
-        namespace: 'custom',
-        key: 'revenu_track'
-      }
-    });
-    
-    let revenueData = {};
-    let metafieldId = null;
-    
-    // Process existing metafield if it exists
-    if (metafieldResponse.body.metafields && metafieldResponse.body.metafields.length > 0) {
-      const revenueMetafield = metafieldResponse.body.metafields[0];
-      metafieldId = revenueMetafield.id;
-      
-      try {
-        revenueData = JSON.parse(revenueMetafield.value);
-      } catch (error) {
-        console.error('Error parsing existing revenue data:', error);
-        revenueData = {};
-      }
-    }
-    
-    // Update revenue data
-    if (revenueData[yearMonthKey]) {
-      revenueData[yearMonthKey] = (parseFloat(revenueData[yearMonthKey]) + orderTotal).toFixed(2);
-    } else {
-      revenueData[yearMonthKey] = orderTotal.toFixed(2);
-    }
-    
-    // Update or create the revenue_track metafield
-    if (metafieldId) {
-      // Update existing metafield
-      await apiClient.put({
-        path: `customers/${customerId}/metafields/${metafieldId}`,
-        data: {
-          metafield: {
-            id: metafieldId,
-            value: JSON.stringify(revenueData),
-            type: 'json_string'
-          }
-        }
-      });
-    } else {
-      // Create new metafield
-      await apiClient.post({
-        path: `customers/${customerId}/metafields`,
-        data: {
-          metafield: {
-            namespace: 'custom',
-            key: 'revenu_track',
-            value: JSON.stringify(revenueData),
-            type: 'json_string'
-          }
-        }
-      });
+    if (campaignCredits > 0) {
+      console.log(`Added ${campaignCredits} campaign credits for order ${orderId}`);
     }
-    
-    // Also update the total revenue metafield
-    await updateTotalRevenue(apiClient, customerId, orderTotal);
-  } catch (error) {
-    console.error('Error updating revenue tracking:', error);
-  }
-}
 
-/**
- * Update total revenue metafield
- */
-async function updateTotalRevenue(apiClient, customerId, orderTotal) {
-  try {
-    // Fetch existing revenu metafield
-    const metafieldResponse = await apiClient.get({
-      path: `customers/${customerId}/metafields`,
-      query: {
-        namespace: 'custom',
-        key: 'revenu'
-      }
-    });
-    
-    let currentRevenue = 0;
-    let metafieldId = null;
-    
-    // Process existing metafield if it exists
-    if (metafieldResponse.body.metafields && metafieldResponse.body.metafields.length > 0) {
-      const revenueMetafield = metafieldResponse.body.metafields[0];
-      metafieldId = revenueMetafield.id;
-      currentRevenue = parseFloat(revenueMetafield.value);
-    }
-    
-    // Update total revenue
-    const newRevenue = (currentRevenue + orderTotal).toFixed(2);
-    
-    // Update or create the revenu metafield
-    if (metafieldId) {
-      // Update existing metafield
-      await apiClient.put({
-        path: `customers/${customerId}/metafields/${metafieldId}`,
-        data: {
-          metafield: {
-            id: metafieldId,
-            value: newRevenue,
-            type: 'number_decimal'
-          }
-        }
-      });
+    if (creditsDelta > 0) {
+      console.log(`Successfully updated store credits for ${ownerId === customerId ? `customer ${customerId}` : ownerId}. Added ${creditsDelta} credits for ${monthKey} (month total ${monthCredits.toFixed(2)})`);
     } else {
-      // Create new metafield
-      await apiClient.post({
-        path: `customers/${customerId}/metafields`,
-        data: {
-          metafield: {
-            namespace: 'custom',
-            key: 'revenu',
-            value: newRevenue,
-            type: 'number_decimal'
-          }
-        }
-      });
+      console.log(`No credits earned for this order. Month revenue for ${monthKey} is now ${monthRevenue.toFixed(2)}`);
     }
   } catch (error) {
-    console.error('Error updating total revenue:', error);
+    console.error('Error processing order for store credits:', error);
+    // Rethrown so the delivery is retried instead of its credits being lost
+    throw error;
   }
 }
+
+// Webhook topics handled by this extension
+export const webhookHandlers = {
+  'orders/create': orderCreated,
+  'orders/cancelled': orderCancelled,
+  'refunds/create': refundCreated,
+  // customers/data_request, customers/redact and shop/redact, with exports in the data directory
+  ...createPrivacyHandlers()
+};
@@ -0,0 +1,171 @@
+/**
+ * Store Credit Ledger
+ *
+ * Every change to a customer's store credits is a signed entry in the append-only credit_ledger
+ * metafield, whose balance is derived from its entries on every write.
+ */
+
+import { calculateEarnedCredits } from './credits.js';
+import { compareMonthKeys, fromLegacyMonthKey, getMonthStart, getNextMonthKey } from './months.js';
+
+// Version 1 ledgers used legacy 0-based "YYYY-M" month keys
+export const LEDGER_VERSION = 2;
+
+export const ENTRY_TYPES = ['earn', 'redeem', 'reverse', 'adjust', 'expire', 'write-off'];
+
+/**
+ * Get the date credits earned in a month become available: the first day of the month
+ * `delayMonths` later (the following month by default) in the shop's timezone
+ */
+export function getAvailableAt(monthKey, timeZone, delayMonths = 1) {
+  let availableMonth = monthKey;
+  for (let month = 0; month < delayMonths; month++) {
+    availableMonth = getNextMonthKey(availableMonth);
+  }
+
+  return getMonthStart(availableMonth, timeZone);
+}
+
+/**
+ * Build a ledger entry
+ */
+export function createLedgerEntry({ id, type, amount, orderId = null, month = null, createdAt, availableAt, ...details }) {
+  if (!ENTRY_TYPES.includes(type)) {
+    throw new Error(`Unknown ledger entry type: ${type}`);
+  }
+
+  const timestamp = createdAt || new Date().toISOString();
+
+  return {
+    id,
+    type,
+    amount: parseFloat(amount).toFixed(2),
+    orderId: orderId === null ? null : String(orderId),
+    month,
+    createdAt: timestamp,
+    availableAt: availableAt || timestamp,
+    ...details
+  };
+}
+
+/**
+ * Append entries to a ledger, skipping any whose ID is already recorded
+ */
+export function appendLedgerEntries(ledger, newEntries) {
+  const existingIds = new Set(ledger.entries.map(entry => entry.id));
+  const entries = [...ledger.entries, ...newEntries.filter(entry => !existingIds.has(entry.id))];
+
+  return {
+    ...ledger,
+    version: LEDGER_VERSION,
+    balance: sumEntries(entries).toFixed(2),
+    entries
+  };
+}
+
+/**
+ * Derive the available, pending and total balance of a ledger at a point in time
+ */
+export function getLedgerBalance(ledger, asOf = new Date()) {
+  const cutoff = new Date(asOf).getTime();
+  const available = sumEntries(ledger.entries.filter(entry => new Date(entry.availableAt).getTime() <= cutoff));
+  const total = sumEntries(ledger.entries);
+
+  return {
+    available: parseFloat(available.toFixed(2)),
+    pending: parseFloat((total - available).toFixed(2)),
+    total: parseFloat(total.toFixed(2))
+  };
+}
+
+/**
+ * Convert the legacy { "YYYY-M": "amount" } rebate map into ledger entries
+ *
+ * Both maps use legacy 0-based month keys. The rebate map only holds what is left of each month,
+ * so when the month's revenue in revenu_track shows more was earned than remains, the difference
+ * is recorded as an earlier redemption.
+ */
+export function migrateRebateData(rebateData, revenueData, timeZone, config) {
+  const entries = [];
+
+  Object.keys(rebateData)
+    .sort((a, b) => compareMonthKeys(fromLegacyMonthKey(a), fromLegacyMonthKey(b)))
+    .forEach(legacyKey => {
+      const month = fromLegacyMonthKey(legacyKey);
+      const remaining = parseFloat(rebateData[legacyKey]) || 0;
+      const monthRevenue = parseFloat(revenueData[legacyKey]) || 0;
+      const earned = Math.max(remaining, calculateEarnedCredits(monthRevenue, config.tiers));
+      const availableAt = getAvailableAt(month, timeZone, config.availabilityDelayMonths);
+
+      if (earned > 0) {
+        entries.push(createLedgerEntry({
+          id: `migrated-earn:${month}`,
+          type: 'earn',
+          amount: earned,
+          month,
+          createdAt: getMonthStart(month, timeZone),
+          availableAt,
+          revenue: monthRevenue.toFixed(2),
+          note: 'Migrated from rebate metafield'
+        }));
+      }
+
+      const redeemed = parseFloat((earned - remaining).toFixed(2));
+      if (redeemed > 0) {
+        entries.push(createLedgerEntry({
+          id: `migrated-redeem:${month}`,
+          type: 'redeem',
+          amount: -redeemed,
+          month,
+          createdAt: availableAt,
+          availableAt,
+          note: 'Migrated from rebate metafield'
+        }));
+      }
+    });
+
+  return appendLedgerEntries(createLedger(), entries);
+}
+
+/**
+ * Upgrade a version 1 ledger to ISO month keys
+ *
+ * Version 1 computed availability dates in the server's timezone, so entries that become
+ * available at the start of a month get that date again in the shop's timezone.
+ */
+export function upgradeLedger(ledger, timeZone, config) {
+  if (ledger.version >= LEDGER_VERSION) {
+    return ledger;
+  }
+
+  const entries = ledger.entries.map(entry => {
+    if (!entry.month) {
+      return entry;
+    }
+
+    const month = fromLegacyMonthKey(entry.month);
+    const upgraded = { ...entry, month };
+
+    if (entry.type === 'earn' || entry.type === 'reverse') {
+      upgraded.availableAt = getAvailableAt(month, timeZone, config.availabilityDelayMonths);
+    }
+
+    return upgraded;
+  });
+
+  return appendLedgerEntries(createLedger(), entries);
+}
+
+/**
+ * Build an empty ledger
+ */
+export function createLedger() {
+  return { version: LEDGER_VERSION, balance: '0.00', entries: [] };
+}
+
+/**
+ * Add up the amounts of ledger entries
+ */
+function sumEntries(entries) {
+  return entries.reduce((total, entry) => total + parseFloat(entry.amount), 0);
+}
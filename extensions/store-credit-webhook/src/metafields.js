@@ -0,0 +1,398 @@
+/**
+ * Customer Credit Metafields
+ *
+ * Reads a customer's or pool's credit metafields in one query and writes them back in one
+ * compare-and-swap metafieldsSet mutation.
+ */
+
+import { CONFIG_KEY, CONFIG_NAMESPACE, parseConfig } from './config.js';
+import { getUpcomingExpirations } from './expiry.js';
+import { graphqlRequest } from './graphql.js';
+import { createLedger, getLedgerBalance, LEDGER_VERSION, migrateRebateData, upgradeLedger } from './ledger.js';
+import { getMonthKey, migrateMonthKeys } from './months.js';
+import { isPoolId } from './pooling.js';
+import { parseProcessedOrders } from './processed-orders.js';
+import { getTierProgress } from './tier-progress.js';
+
+// Credit metafields in the custom namespace and how their values are stored
+const CREDIT_METAFIELDS = {
+  credit_ledger: { stateKey: 'ledger', type: 'json' },
+  revenu_track: { stateKey: 'revenueData', type: 'json_string' },
+  revenu: { stateKey: 'totalRevenue', type: 'number_decimal' },
+  processed_orders: { stateKey: 'processedOrders', type: 'json_string' },
+  reversed_orders: { stateKey: 'reversedOrders', type: 'json_string' },
+  // Below zero while a customer owes clawed-back credits (see negative-balance.js)
+  available_balance: { stateKey: 'availableBalance', type: 'number_decimal', signed: true },
+  pending_balance: { stateKey: 'pendingBalance', type: 'number_decimal' },
+  tier_progress: { stateKey: 'tierProgress', type: 'json' },
+  credit_expirations: { stateKey: 'creditExpirations', type: 'json' }
+};
+
+// Every custom metafield the program keeps about a customer, removed when their data is redacted
+const CUSTOMER_DATA_METAFIELD_KEYS = [...Object.keys(CREDIT_METAFIELDS), 'rebate', 'credit_notifications_opt_out'];
+
+// Attempts before a write that keeps losing the compare-and-swap race is given up
+const MAX_WRITE_ATTEMPTS = 5;
+
+const SHOP_FIELDS = `
+    shop {
+      ianaTimezone
+      currencyCode
+      config: metafield(namespace: "${CONFIG_NAMESPACE}", key: "${CONFIG_KEY}") {
+        value
+      }
+    }
+`;
+
+const CREDIT_METAFIELDS_FIELDS = `
+      metafields(namespace: "custom", first: 50) {
+        nodes {
+          key
+          type
+          value
+          compareDigest
+        }
+      }
+`;
+
+const CUSTOMER_CREDIT_METAFIELDS_QUERY = `
+  query CustomerCreditMetafields($customerId: ID!) {
+    ${SHOP_FIELDS}
+    customer(id: $customerId) {
+      id
+      email
+      firstName
+      ${CREDIT_METAFIELDS_FIELDS}
+    }
+  }
+`;
+
+const POOL_CREDIT_METAFIELDS_QUERY = `
+  query PoolCreditMetafields($poolId: ID!) {
+    ${SHOP_FIELDS}
+    pool: node(id: $poolId) {
+      ... on Company {
+        id
+        mainContact {
+          customer {
+            email
+            firstName
+          }
+        }
+        ${CREDIT_METAFIELDS_FIELDS}
+      }
+      ... on CompanyLocation {
+        id
+        company {
+          mainContact {
+            customer {
+              email
+              firstName
+            }
+          }
+        }
+        ${CREDIT_METAFIELDS_FIELDS}
+      }
+    }
+  }
+`;
+
+const SET_CREDIT_METAFIELDS_MUTATION = `
+  mutation SetCreditMetafields($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      metafields {
+        key
+        compareDigest
+      }
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }
+`;
+
+const DELETE_CREDIT_METAFIELDS_MUTATION = `
+  mutation DeleteCreditMetafields($metafields: [MetafieldIdentifierInput!]!) {
+    metafieldsDelete(metafields: $metafields) {
+      deletedMetafields {
+        key
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+/**
+ * Raised when a metafield changed between reading and writing it
+ */
+export class StaleMetafieldError extends Error {
+  constructor(customerId, userErrors) {
+    super(`Credit metafields for customer ${customerId} changed while they were being updated`);
+    this.name = 'StaleMetafieldError';
+    this.userErrors = userErrors;
+  }
+}
+
+/**
+ * Build the GraphQL ID of a customer from its numeric ID
+ */
+export function toCustomerGid(customerId) {
+  return String(customerId).startsWith('gid://') ? String(customerId) : `gid://shopify/Customer/${customerId}`;
+}
+
+/**
+ * Read a customer's credit state, change it and write every changed metafield in one call
+ *
+ * `update` receives the parsed credit state and changes it in place. It returns whatever the
+ * caller should get back, or `false` to skip the write entirely (for example for a duplicate
+ * delivery). On a compareDigest conflict the state is read again and `update` runs again, so it
+ * must not have side effects of its own.
+ *
+ * The balances, tier progress and upcoming expirations written alongside are those at `asOf`, now
+ * unless given. `onWrite`, if given, is
+ * called with the state before and after the update once it has been written; it should not keep
+ * the caller waiting, as notifyCreditChanges sends in the background.
+ */
+export async function updateCustomerCredits(apiClient, customerId, update, { asOf = new Date(), onWrite = null } = {}) {
+  for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+    const snapshot = await getCreditMetafields(apiClient, customerId);
+
+    if (!snapshot) {
+      console.log('Customer not found');
+      return false;
+    }
+
+    const state = parseCreditState(snapshot);
+    const result = await update(state);
+
+    if (result === false) {
+      return false;
+    }
+
+    const { available, pending } = getLedgerBalance(state.ledger, asOf);
+    state.availableBalance = available;
+    state.pendingBalance = pending;
+    state.tierProgress = getTierProgress(state, getMonthKey(asOf, state.timeZone));
+    state.creditExpirations = getUpcomingExpirations(state, asOf);
+
+    try {
+      await setCreditMetafields(apiClient, customerId, snapshot, state);
+
+      if (onWrite) {
+        await onWrite(parseCreditState(snapshot), state, asOf);
+      }
+
+      return result;
+    } catch (error) {
+      if (!(error instanceof StaleMetafieldError) || attempt === MAX_WRITE_ATTEMPTS) {
+        throw error;
+      }
+
+      console.log(`Credit metafields for customer ${customerId} changed concurrently, retrying (attempt ${attempt + 1})`);
+      await sleep(Math.random() * 100 * 2 ** attempt);
+    }
+  }
+}
+
+/**
+ * Read a customer's credit state without changing it, or null when the customer does not exist
+ */
+export async function getCustomerCredits(apiClient, customerId) {
+  const snapshot = await getCreditMetafields(apiClient, customerId);
+  return snapshot ? parseCreditState(snapshot) : null;
+}
+
+/**
+ * Delete every credit metafield of a customer, returning the keys deleted, or null when the
+ * customer does not exist
+ *
+ * Other metafields in the custom namespace are left alone.
+ */
+export async function deleteCustomerCredits(apiClient, customerId) {
+  const snapshot = await getCreditMetafields(apiClient, customerId);
+
+  if (!snapshot) {
+    return null;
+  }
+
+  const keys = CUSTOMER_DATA_METAFIELD_KEYS.filter(key => snapshot.metafields[key]);
+
+  if (keys.length === 0) {
+    return [];
+  }
+
+  const ownerId = toCustomerGid(customerId);
+  const data = await graphqlRequest(apiClient, DELETE_CREDIT_METAFIELDS_MUTATION, {
+    metafields: keys.map(key => ({ ownerId, namespace: 'custom', key }))
+  });
+
+  if (data.metafieldsDelete.userErrors.length > 0) {
+    throw new Error(`Failed to delete credit metafields: ${JSON.stringify(data.metafieldsDelete.userErrors)}`);
+  }
+
+  return keys;
+}
+
+/**
+ * Fetch a customer's or a pool's credit metafields along with their compare digests
+ */
+async function getCreditMetafields(apiClient, customerId) {
+  const { shop, owner, contact } = isPoolId(customerId)
+    ? await getPool(apiClient, customerId)
+    : await getCustomer(apiClient, customerId);
+
+  if (!owner) {
+    return null;
+  }
+
+  const metafields = {};
+  owner.metafields.nodes.forEach(metafield => {
+    metafields[metafield.key] = metafield;
+  });
+
+  const customer = { id: owner.id, email: contact?.email || null, firstName: contact?.firstName || null };
+
+  return { shop, customer, metafields };
+}
+
+async function getCustomer(apiClient, customerId) {
+  const data = await graphqlRequest(apiClient, CUSTOMER_CREDIT_METAFIELDS_QUERY, {
+    customerId: toCustomerGid(customerId)
+  });
+
+  return { shop: data.shop, owner: data.customer, contact: data.customer };
+}
+
+async function getPool(apiClient, poolId) {
+  const data = await graphqlRequest(apiClient, POOL_CREDIT_METAFIELDS_QUERY, { poolId });
+  const owner = data.pool?.id ? data.pool : null;
+
+  return { shop: data.shop, owner, contact: (owner?.company || owner)?.mainContact?.customer };
+}
+
+/**
+ * Parse credit metafields into the state handlers work on
+ */
+function parseCreditState({ shop, customer, metafields }) {
+  const timeZone = shop.ianaTimezone || 'UTC';
+  const config = parseConfig(shop.config?.value);
+  let revenueData = parseJsonMetafield(metafields.revenu_track, 'revenue');
+  let ledger = parseJsonMetafield(metafields.credit_ledger, 'credit ledger', null);
+
+  // Customers still on the legacy month-keyed rebate map are migrated on first write
+  if (!ledger) {
+    ledger = metafields.rebate
+      ? migrateRebateData(parseJsonMetafield(metafields.rebate, 'rebate'), revenueData, timeZone, config)
+      : createLedger();
+    revenueData = migrateMonthKeys(revenueData);
+  } else if (ledger.version < LEDGER_VERSION) {
+    // revenu_track keys are legacy for as long as the ledger is
+    ledger = upgradeLedger(ledger, timeZone, config);
+    revenueData = migrateMonthKeys(revenueData);
+  }
+
+  // Credits are held in the shop currency; ledgers written before that was recorded get it now
+  ledger.currency = ledger.currency || shop.currencyCode;
+
+  return {
+    timeZone,
+    config,
+    customer,
+    ledger,
+    revenueData,
+    totalRevenue: metafields.revenu ? parseFloat(metafields.revenu.value) || 0 : 0,
+    // null until the first write that stores the balances
+    availableBalance: metafields.available_balance ? parseFloat(metafields.available_balance.value) || 0 : null,
+    pendingBalance: metafields.pending_balance ? parseFloat(metafields.pending_balance.value) || 0 : null,
+    tierProgress: parseJsonMetafield(metafields.tier_progress, 'tier progress', null),
+    creditExpirations: parseJsonMetafield(metafields.credit_expirations, 'credit expirations', null),
+    notificationsOptOut: metafields.credit_notifications_opt_out?.value === 'true',
+    processedOrders: parseProcessedOrders(parseJsonMetafield(metafields.processed_orders, 'processed orders', {})),
+    reversedOrders: parseJsonMetafield(metafields.reversed_orders, 'reversed orders')
+  };
+}
+
+/**
+ * Write every credit metafield whose value changed, guarded by the digests they were read with
+ */
+async function setCreditMetafields(apiClient, customerId, snapshot, state) {
+  const ownerId = toCustomerGid(customerId);
+  const metafields = [];
+
+  Object.entries(CREDIT_METAFIELDS).forEach(([key, { stateKey, type, signed = false }]) => {
+    const existing = snapshot.metafields[key];
+
+    // Metafields of features the program doesn't use, such as expiry, are left alone
+    if (state[stateKey] === null) {
+      return;
+    }
+
+    const value = serializeMetafieldValue(type, state[stateKey], signed);
+
+    if (existing && existing.value === value) {
+      return;
+    }
+
+    metafields.push({
+      ownerId,
+      namespace: 'custom',
+      key,
+      type,
+      value,
+      // A null digest only succeeds if nobody created the metafield in the meantime
+      compareDigest: existing ? existing.compareDigest : null
+    });
+  });
+
+  if (metafields.length === 0) {
+    return;
+  }
+
+  const data = await graphqlRequest(apiClient, SET_CREDIT_METAFIELDS_MUTATION, { metafields });
+  const { userErrors } = data.metafieldsSet;
+
+  if (userErrors.length > 0) {
+    if (userErrors.some(userError => userError.code === 'STALE_OBJECT' || userError.code === 'TAKEN')) {
+      throw new StaleMetafieldError(customerId, userErrors);
+    }
+
+    throw new Error(`Failed to update credit metafields: ${JSON.stringify(userErrors)}`);
+  }
+}
+
+/**
+ * Parse a JSON metafield value, falling back to an empty value
+ */
+export function parseJsonMetafield(metafield, label, fallback = {}) {
+  if (!metafield) {
+    return fallback;
+  }
+
+  try {
+    return JSON.parse(metafield.value);
+  } catch (error) {
+    console.error(`Error parsing existing ${label} data:`, error);
+    return fallback;
+  }
+}
+
+/**
+ * Serialize a state value the way its metafield type stores it, numbers clamped at zero unless
+ * they are signed
+ */
+function serializeMetafieldValue(type, value, signed) {
+  if (type !== 'number_decimal') {
+    return JSON.stringify(value);
+  }
+
+  return (signed ? value : Math.max(0, value)).toFixed(2);
+}
+
+function sleep(milliseconds) {
+  return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
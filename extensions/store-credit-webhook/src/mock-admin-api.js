@@ -0,0 +1,286 @@
+/**
+ * In-Memory Mock Admin API
+ *
+ * Answers the handlers' GraphQL operations from a fixture store object, so webhooks can be replayed
+ * with no network.
+ */
+
+import { createHash } from 'node:crypto';
+
+/**
+ * Create a mock Admin API client over a store object, which it reads and changes in place
+ */
+export function createMockAdminApi(store = {}) {
+  store.shop = { id: 'gid://shopify/Shop/1', ianaTimezone: 'UTC', currencyCode: 'USD', config: null, ...store.shop };
+  store.customers = store.customers || {};
+  store.orders = store.orders || {};
+  store.products = store.products || {};
+  store.companies = store.companies || {};
+  store.companyLocations = store.companyLocations || {};
+
+  const operations = {
+    CustomerCreditMetafields: variables => customerCreditMetafields(store, variables),
+    PoolCreditMetafields: variables => poolCreditMetafields(store, variables),
+    CreditProgramConfig: () => ({ shop: { config: getShopConfig(store) } }),
+    SetCreditMetafields: variables => setMetafields(store, variables),
+    SetCreditProgramConfig: variables => setMetafields(store, variables),
+    DeleteCreditMetafields: variables => deleteMetafields(store, variables),
+    DeleteCreditProgramConfig: variables => deleteMetafields(store, variables),
+    ShopId: () => ({ shop: { id: store.shop.id } }),
+    ShopTimezone: () => ({ shop: { ianaTimezone: store.shop.ianaTimezone } }),
+    RefundedOrder: variables => refundedOrder(store, variables),
+    ProductExclusions: variables => productExclusions(store, variables),
+    CampaignProducts: variables => productExclusions(store, { ...variables, checkMetafield: false }),
+    CustomerByEmail: variables => customerByEmail(store, variables),
+    CreditCustomers: () => creditCustomers(store),
+    CreditCompanies: () => creditPools(store.companies, 'companies', 'Company'),
+    CreditCompanyLocations: () => creditPools(store.companyLocations, 'companyLocations', 'CompanyLocation')
+  };
+
+  return {
+    store,
+    async query({ data: { query, variables = {} } }) {
+      const operationName = query.match(/(?:query|mutation)\s+(\w+)/)?.[1];
+      const operation = operations[operationName];
+
+      if (!operation) {
+        return { body: { errors: [{ message: `Mock Admin API does not support operation ${operationName}` }] } };
+      }
+
+      return { body: { data: operation(variables) } };
+    }
+  };
+}
+
+function customerCreditMetafields(store, { customerId }) {
+  const customer = store.customers[fromGid(customerId)];
+
+  return {
+    shop: creditShop(store),
+    customer: customer && {
+      id: customerId,
+      email: customer.email,
+      firstName: customer.firstName || null,
+      metafields: creditMetafields(customer)
+    }
+  };
+}
+
+function poolCreditMetafields(store, { poolId }) {
+  const pool = getOwner(store, poolId);
+  const company = poolId.includes('/CompanyLocation/') ? store.companies[pool?.companyId] : pool;
+  const mainContact = store.customers[company?.mainContactCustomerId];
+
+  return {
+    shop: creditShop(store),
+    pool: pool && {
+      id: poolId,
+      mainContact: mainContact ? { customer: { email: mainContact.email, firstName: mainContact.firstName || null } } : null,
+      metafields: creditMetafields(pool)
+    }
+  };
+}
+
+function creditShop(store) {
+  return {
+    ianaTimezone: store.shop.ianaTimezone,
+    currencyCode: store.shop.currencyCode,
+    config: getShopConfig(store)
+  };
+}
+
+function creditMetafields(owner) {
+  return {
+    nodes: Object.entries(owner.metafields || {}).map(([key, metafield]) => ({
+      key,
+      type: metafield.type,
+      value: metafield.value,
+      compareDigest: digest(metafield.value)
+    }))
+  };
+}
+
+/**
+ * The program config is either given in the fixture or written with saveConfig
+ */
+function getShopConfig(store) {
+  const config = store.shop.metafields?.['store-credit.config']?.value ?? store.shop.config;
+  return config ? { value: toJsonValue(config) } : null;
+}
+
+function setMetafields(store, { metafields }) {
+  const userErrors = [];
+
+  // Validate every metafield first; metafieldsSet writes all of them or none
+  const writes = metafields.map((input, index) => {
+    const owner = getOwner(store, input.ownerId);
+    const existing = owner?.metafields?.[metafieldKey(input)];
+
+    if (!owner) {
+      userErrors.push({ field: ['metafields', String(index), 'ownerId'], message: 'Owner does not exist', code: 'INVALID' });
+    } else if (input.compareDigest === null && existing) {
+      userErrors.push({ field: ['metafields', String(index)], message: 'Metafield already exists', code: 'TAKEN' });
+    } else if (input.compareDigest && (!existing || digest(existing.value) !== input.compareDigest)) {
+      userErrors.push({ field: ['metafields', String(index)], message: 'Metafield has been modified', code: 'STALE_OBJECT' });
+    }
+
+    return { owner, input };
+  });
+
+  if (userErrors.length > 0) {
+    return { metafieldsSet: { metafields: null, userErrors } };
+  }
+
+  writes.forEach(({ owner, input }) => {
+    owner.metafields = owner.metafields || {};
+    owner.metafields[metafieldKey(input)] = { type: input.type, value: input.value };
+  });
+
+  return {
+    metafieldsSet: {
+      metafields: writes.map(({ input }) => ({ key: input.key, compareDigest: digest(input.value) })),
+      userErrors
+    }
+  };
+}
+
+/**
+ * Delete metafields; like metafieldsDelete, one that doesn't exist is reported as null
+ */
+function deleteMetafields(store, { metafields }) {
+  const deletedMetafields = metafields.map(input => {
+    const owner = getOwner(store, input.ownerId);
+    const key = metafieldKey(input);
+
+    // The fixture's shop.config stands in for the store-credit.config metafield
+    const isFixtureConfig = owner === store.shop && key === 'store-credit.config' && Boolean(store.shop.config);
+
+    if (!owner?.metafields?.[key] && !isFixtureConfig) {
+      return null;
+    }
+
+    if (isFixtureConfig) {
+      store.shop.config = null;
+    }
+
+    delete owner.metafields?.[key];
+    return { key: input.key, namespace: input.namespace, ownerId: input.ownerId };
+  });
+
+  return { metafieldsDelete: { deletedMetafields, userErrors: [] } };
+}
+
+function refundedOrder(store, { orderId }) {
+  const order = store.orders[fromGid(orderId)];
+
+  return {
+    order: order && {
+      legacyResourceId: fromGid(orderId),
+      createdAt: order.createdAt,
+      taxesIncluded: Boolean(order.taxesIncluded),
+      subtotalPriceSet: { shopMoney: { amount: order.subtotal } },
+      totalTaxSet: { shopMoney: { amount: order.totalTax || '0.00' } },
+      customer: order.customerId ? { legacyResourceId: String(order.customerId) } : null,
+      purchasingEntity: order.companyId ? {
+        company: { legacyResourceId: String(order.companyId) },
+        location: order.companyLocationId ? { legacyResourceId: String(order.companyLocationId) } : null
+      } : null
+    }
+  };
+}
+
+function customerByEmail(store, { query }) {
+  const email = query.match(/email:"?([^"]+)"?/)?.[1];
+  const customerId = Object.keys(store.customers).find(id => store.customers[id].email === email);
+
+  return { customers: { nodes: customerId ? [{ legacyResourceId: customerId }] : [] } };
+}
+
+function creditCustomers(store) {
+  return {
+    customers: {
+      pageInfo: { hasNextPage: false, endCursor: null },
+      nodes: Object.entries(store.customers).map(([customerId, customer]) => ({
+        legacyResourceId: customerId,
+        creditLedger: customer.metafields?.credit_ledger ? { id: `gid://shopify/Metafield/${customerId}` } : null
+      }))
+    }
+  };
+}
+
+function creditPools(pools, connection, type) {
+  return {
+    [connection]: {
+      pageInfo: { hasNextPage: false, endCursor: null },
+      nodes: Object.entries(pools).map(([id, pool]) => ({
+        id: `gid://shopify/${type}/${id}`,
+        creditLedger: pool.metafields?.credit_ledger ? { id: `gid://shopify/Metafield/${type}${id}` } : null
+      }))
+    }
+  };
+}
+
+function productExclusions(store, variables) {
+  return {
+    nodes: variables.ids.map(id => {
+      const product = store.products[fromGid(id)];
+
+      if (!product) {
+        return null;
+      }
+
+      const node = { legacyResourceId: fromGid(id), tags: product.tags || [] };
+
+      if (variables.checkMetafield) {
+        const value = product.metafields?.[`${variables.metafieldNamespace}.${variables.metafieldKey}`];
+        node.excluded = value === undefined ? null : { value: String(value) };
+      }
+
+      if (variables.checkCollections) {
+        node.collections = {
+          nodes: (product.collections || []).map(collectionId => ({ legacyResourceId: String(collectionId) }))
+        };
+      }
+
+      return node;
+    })
+  };
+}
+
+/**
+ * Find the customer, company, company location or shop a metafield belongs to
+ */
+function getOwner(store, ownerId) {
+  if (ownerId === store.shop.id) {
+    return store.shop;
+  }
+
+  if (String(ownerId).includes('/CompanyLocation/')) {
+    return store.companyLocations[fromGid(ownerId)];
+  }
+
+  if (String(ownerId).includes('/Company/')) {
+    return store.companies[fromGid(ownerId)];
+  }
+
+  return store.customers[fromGid(ownerId)];
+}
+
+/**
+ * Credit metafields are keyed by key alone, everything else by namespace.key
+ */
+function metafieldKey({ namespace, key }) {
+  return namespace === 'custom' ? key : `${namespace}.${key}`;
+}
+
+function fromGid(gid) {
+  return String(gid).split('/').pop();
+}
+
+function toJsonValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function digest(value) {
+  return createHash('sha256').update(value).digest('hex');
+}
@@ -0,0 +1,15 @@
+/**
+ * Shop Currency Amounts
+ *
+ * Credits are held in the shop currency, so amounts are read from the shop_money side of a
+ * payload's price sets.
+ */
+
+/**
+ * Read an amount in the shop currency from its price set, e.g. `price_set.shop_money.amount` for
+ * `price`, falling back to the plain field for payloads without price sets
+ */
+export function getShopAmount(item, key) {
+  const shopMoney = item?.[`${key}_set`]?.shop_money;
+  return parseFloat(shopMoney ? shopMoney.amount : item?.[key]) || 0;
+}
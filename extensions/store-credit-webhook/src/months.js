@@ -0,0 +1,138 @@
+/**
+ * Month Bucketing
+ *
+ * Credits and revenue are tracked per calendar month in the shop's IANA timezone, under ISO
+ * "YYYY-MM" keys. An order placed at 23:30 on January 31st in the shop's timezone belongs to
+ * January even when it is already February in UTC.
+ *
+ * Data written before ISO keys were introduced uses "YYYY-M" keys with a 0-based month
+ * ("2025-0" is January 2025). fromLegacyMonthKey converts them.
+ */
+
+/**
+ * Get the ISO month key of a date in a timezone
+ */
+export function getMonthKey(date, timeZone = 'UTC') {
+  const { year, month } = getZonedParts(new Date(date || Date.now()), timeZone);
+  return `${year}-${pad(month)}`;
+}
+
+/**
+ * Get the month key that follows a month key
+ */
+export function getNextMonthKey(monthKey) {
+  const [year, month] = monthKey.split('-').map(Number);
+  return month === 12 ? `${year + 1}-01` : `${year}-${pad(month + 1)}`;
+}
+
+/**
+ * Sort comparator for ISO month keys, oldest first
+ */
+export function compareMonthKeys(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Get midnight on the first day of a month in a timezone, as an ISO timestamp with the
+ * timezone's UTC offset, e.g. "2025-02-01T00:00:00-05:00"
+ *
+ * Keeping the shop's offset means the first ten characters are the shop-local date, which is
+ * what the discount function compares against the shop's local time.
+ */
+export function getMonthStart(monthKey, timeZone = 'UTC') {
+  return getDayStart(`${monthKey}-01`, timeZone);
+}
+
+/**
+ * Get midnight at the start of a "YYYY-MM-DD" date in a timezone, as an ISO timestamp with the
+ * timezone's UTC offset
+ */
+export function getDayStart(dateKey, timeZone = 'UTC') {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day);
+
+  // The offset at the wall-clock time itself is a first guess; correct it once for DST changes
+  let offset = getTimeZoneOffset(new Date(wallClock), timeZone);
+  offset = getTimeZoneOffset(new Date(wallClock - offset * 60000), timeZone);
+
+  const sign = offset < 0 ? '-' : '+';
+  const absoluteOffset = Math.abs(offset);
+
+  return `${year}-${pad(month)}-${pad(day)}T00:00:00${sign}${pad(Math.floor(absoluteOffset / 60))}:${pad(absoluteOffset % 60)}`;
+}
+
+/**
+ * Get the "YYYY-MM-DD" date after a "YYYY-MM-DD" date
+ */
+export function getNextDateKey(dateKey) {
+  const nextDay = new Date(`${dateKey}T00:00:00Z`);
+  nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+  return nextDay.toISOString().slice(0, 10);
+}
+
+/**
+ * Get the "YYYY-MM-DD" date of a moment in a timezone
+ */
+export function getDateKey(date, timeZone = 'UTC') {
+  const { year, month, day } = getZonedParts(new Date(date || Date.now()), timeZone);
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Convert a legacy 0-based "YYYY-M" month key to an ISO "YYYY-MM" key
+ */
+export function fromLegacyMonthKey(legacyKey) {
+  const [year, month] = legacyKey.split('-').map(Number);
+  return `${year}-${pad(month + 1)}`;
+}
+
+/**
+ * Convert every key of a legacy month-keyed map to ISO keys
+ */
+export function migrateMonthKeys(monthData) {
+  const migrated = {};
+
+  Object.entries(monthData).forEach(([legacyKey, value]) => {
+    migrated[fromLegacyMonthKey(legacyKey)] = value;
+  });
+
+  return migrated;
+}
+
+/**
+ * Get the calendar parts of a date as seen in a timezone
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') {
+      parts[type] = Number(value);
+    }
+  });
+
+  return parts;
+}
+
+/**
+ * Get a timezone's offset from UTC in minutes at a given instant
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
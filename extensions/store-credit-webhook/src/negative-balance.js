@@ -0,0 +1,38 @@
+/**
+ * Negative Balances
+ *
+ * Credits clawed back after they were spent are carried as a negative balance or written off,
+ * as the program's negativeBalancePolicy says.
+ */
+
+import { createLedgerEntry, getLedgerBalance } from './ledger.js';
+
+/**
+ * Build the write-off entry for a clawback that took the available balance below zero
+ *
+ * Returns null when the program carries negative balances or the balance at `processedAt` is not
+ * negative.
+ */
+export function getWriteOffEntry(state, reverseEntryId, { orderId, month, processedAt }) {
+  if (state.config.negativeBalancePolicy !== 'write-off') {
+    return null;
+  }
+
+  const at = processedAt || new Date().toISOString();
+  const { available } = getLedgerBalance(state.ledger, at);
+
+  if (available >= 0) {
+    return null;
+  }
+
+  return createLedgerEntry({
+    id: `write-off:${reverseEntryId}`,
+    type: 'write-off',
+    amount: -available,
+    orderId,
+    month,
+    createdAt: at,
+    availableAt: at,
+    writtenOff: reverseEntryId
+  });
+}
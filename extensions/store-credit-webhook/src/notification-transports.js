@@ -0,0 +1,233 @@
+/**
+ * Notification Transports
+ *
+ * Sends rendered messages by SMTP, to .eml files or to the log, picked by the
+ * STORE_CREDIT_NOTIFICATIONS URL.
+ */
+
+import { randomUUID } from 'node:crypto';
+import { mkdir, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { connect as connectTcp } from 'node:net';
+import { connect as connectTls } from 'node:tls';
+import { fileURLToPath } from 'node:url';
+import { DEFAULT_DATA_DIRECTORY } from './retry-queue.js';
+
+// Give up on an SMTP server that stops answering
+const SMTP_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Create the transport a STORE_CREDIT_NOTIFICATIONS URL describes
+ */
+export function createTransport(url) {
+  const { protocol, hostname, port, username, password, pathname } = new URL(url);
+
+  switch (protocol) {
+    case 'smtp:':
+    case 'smtps:':
+      return createSmtpTransport({
+        host: hostname,
+        port: Number(port) || (protocol === 'smtps:' ? 465 : 587),
+        secure: protocol === 'smtps:',
+        user: decodeURIComponent(username),
+        password: decodeURIComponent(password)
+      });
+    case 'file:':
+      return createFileTransport(getOutboxDirectory(url));
+    case 'console:':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unsupported notification transport ${protocol}`);
+  }
+}
+
+/**
+ * Get the directory a file: STORE_CREDIT_NOTIFICATIONS URL writes messages to, or null for any
+ * other URL
+ */
+export function getOutboxDirectory(url) {
+  const { protocol, pathname } = new URL(url);
+
+  if (protocol !== 'file:') {
+    return null;
+  }
+
+  return pathname && pathname !== '/' ? fileURLToPath(url) : join(DEFAULT_DATA_DIRECTORY, 'outbox');
+}
+
+/**
+ * Send messages through an SMTP server, one connection per message
+ */
+export function createSmtpTransport({ host, port = 587, secure = false, user = '', password = '' }) {
+  return {
+    async send(message) {
+      const session = await openSmtpSession({ host, port, secure });
+
+      try {
+        await session.expect(220);
+        let capabilities = await session.command(`EHLO ${getClientName()}`, 250);
+
+        if (!secure) {
+          if (!/^250[ -]STARTTLS/mi.test(capabilities)) {
+            throw new Error(`SMTP server ${host}:${port} does not offer STARTTLS, so the message is not sent unencrypted`);
+          }
+
+          await session.command('STARTTLS', 220);
+          await session.upgrade(host);
+          capabilities = await session.command(`EHLO ${getClientName()}`, 250);
+        }
+
+        if (user) {
+          await session.command(`AUTH PLAIN ${Buffer.from(`\0${user}\0${password}`).toString('base64')}`, 235);
+        }
+
+        await session.command(`MAIL FROM:<${getAddress(message.from)}>`, 250);
+        await session.command(`RCPT TO:<${getAddress(message.to)}>`, [250, 251]);
+        await session.command('DATA', 354);
+        await session.command(`${formatMessage(message).replace(/^\./gm, '..')}\r\n.`, 250);
+        await session.command('QUIT', 221);
+      } finally {
+        session.close();
+      }
+    }
+  };
+}
+
+/**
+ * Write each message to an .eml file in a directory
+ */
+export function createFileTransport(directory) {
+  return {
+    directory,
+    async send(message) {
+      await mkdir(directory, { recursive: true });
+      const path = join(directory, `${new Date().toISOString().replace(/[:.]/g, '-')}-${randomUUID().slice(0, 8)}.eml`);
+      await writeFile(path, formatMessage(message));
+      console.log(`Wrote notification for ${message.to} to ${path}`);
+    }
+  };
+}
+
+/**
+ * Print each message to the log
+ */
+export function createConsoleTransport() {
+  return {
+    async send({ from, to, subject, text }) {
+      console.log(`--- Notification from ${from} to ${to}\nSubject: ${subject}\n\n${text}\n---`);
+    }
+  };
+}
+
+/**
+ * Format a message as a MIME plain text email
+ */
+export function formatMessage({ from, to, subject, text }) {
+  const body = Buffer.from(text.replace(/\r?\n/g, '\r\n')).toString('base64').replace(/.{76}/g, '$&\r\n');
+
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${randomUUID()}@${getAddress(from).split('@')[1] || 'localhost'}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+}
+
+/**
+ * Connect to an SMTP server and return helpers to exchange commands and replies over the socket
+ */
+function openSmtpSession({ host, port, secure }) {
+  return new Promise((resolve, reject) => {
+    let socket = secure ? connectTls({ host, port, servername: host }) : connectTcp({ host, port });
+    let buffer = '';
+    let waiting = null;
+
+    const onData = chunk => {
+      buffer += chunk.toString('utf8');
+      deliverReply();
+    };
+
+    const onError = error => {
+      if (waiting) {
+        waiting.reject(error);
+        waiting = null;
+      }
+    };
+
+    // A reply is complete at a line whose code is followed by a space rather than a hyphen
+    const deliverReply = () => {
+      const match = buffer.match(/^(?:\d{3}-.*\r?\n)*(\d{3})(?: .*)?\r?\n/);
+
+      if (match && waiting) {
+        buffer = buffer.slice(match[0].length);
+        const { codes, resolve: resolveReply, reject: rejectReply } = waiting;
+        waiting = null;
+
+        if (codes.includes(Number(match[1]))) {
+          resolveReply(match[0]);
+        } else {
+          rejectReply(new Error(`SMTP server replied: ${match[0].trim()}`));
+        }
+      }
+    };
+
+    const attach = () => {
+      socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error('SMTP server timed out')));
+      socket.on('data', onData);
+      socket.on('error', onError);
+    };
+
+    const session = {
+      expect(codes) {
+        return new Promise((resolveReply, rejectReply) => {
+          waiting = { codes: [].concat(codes), resolve: resolveReply, reject: rejectReply };
+          deliverReply();
+        });
+      },
+      command(line, codes) {
+        socket.write(`${line}\r\n`);
+        return session.expect(codes);
+      },
+      upgrade(servername) {
+        return new Promise((resolveUpgrade, rejectUpgrade) => {
+          socket.removeListener('data', onData);
+          socket.removeListener('error', onError);
+          socket = connectTls({ socket, servername }, resolveUpgrade);
+          socket.once('error', rejectUpgrade);
+          attach();
+        });
+      },
+      close() {
+        socket.destroy();
+      }
+    };
+
+    attach();
+    socket.once(secure ? 'secureConnect' : 'connect', () => resolve(session));
+    socket.once('error', reject);
+  });
+}
+
+/**
+ * Get the bare address of "Name <address>"
+ */
+function getAddress(mailbox) {
+  return mailbox.match(/<([^>]+)>/)?.[1] || mailbox.trim();
+}
+
+/**
+ * Encode a header value as an RFC 2047 encoded word when it is not plain ASCII
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+function getClientName() {
+  return process.env.HOSTNAME || 'localhost';
+}
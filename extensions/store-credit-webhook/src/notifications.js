@@ -0,0 +1,237 @@
+/**
+ * Customer Notifications
+ *
+ * Works out what to tell a customer by comparing their credit state before and after a write, and
+ * sends it rendered from templates/.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { getTier } from './credits.js';
+import { getLedgerBalance } from './ledger.js';
+import { createTransport } from './notification-transports.js';
+
+export const TEMPLATES_DIRECTORY = fileURLToPath(new URL('../templates/', import.meta.url));
+
+// Sender address for every notification
+const DEFAULT_FROM = 'Store Credits <no-reply@example.com>';
+
+let defaultNotifier;
+
+// Notifications still being sent, for flushNotifications
+const pendingSends = new Set();
+
+/**
+ * Work out the notification events between a customer's credit state before and after a write
+ *
+ * `asOf` is the moment the balances in `state` were computed for.
+ */
+export function getNotificationEvents(previous, state, asOf = new Date()) {
+  const events = [];
+  const previousEntryIds = new Set(previous.ledger.entries.map(entry => entry.id));
+  const newEntries = state.ledger.entries.filter(entry => !previousEntryIds.has(entry.id));
+
+  // An order's tier and campaign credits are told as one amount, along with the re-rating of the
+  // month's earlier orders it caused
+  const earnedByOrder = new Map();
+  newEntries
+    .filter(entry => entry.type === 'earn' && parseFloat(entry.amount) > 0)
+    .forEach(entry => {
+      const orderId = entry.reratedBy || entry.orderId;
+      const event = earnedByOrder.get(orderId);
+
+      if (event) {
+        event.amount = parseFloat((event.amount + parseFloat(entry.amount)).toFixed(2));
+      } else {
+        earnedByOrder.set(orderId, {
+          type: 'credits-earned',
+          orderId,
+          month: entry.month,
+          amount: parseFloat(entry.amount),
+          availableAt: entry.availableAt
+        });
+      }
+    });
+  events.push(...earnedByOrder.values());
+
+  // Whatever the available balance gained beyond the new entries became available with time.
+  // Customers written before the balance was stored have nothing to compare against, and credits
+  // that went to paying off a negative balance can't be spent.
+  if (previous.availableBalance !== null) {
+    const newlyAvailable = getLedgerBalance({ entries: newEntries }, asOf).available;
+    const becameAvailable = parseFloat(Math.min(
+      state.availableBalance - previous.availableBalance - newlyAvailable,
+      state.availableBalance
+    ).toFixed(2));
+
+    if (becameAvailable > 0) {
+      events.push({ type: 'credits-available', amount: becameAvailable, availableBalance: state.availableBalance });
+    }
+  }
+
+  const months = new Set([...Object.keys(previous.revenueData), ...Object.keys(state.revenueData)]);
+  [...months].sort().forEach(month => {
+    const previousTier = getTier(parseFloat(previous.revenueData[month]) || 0, state.config.tiers);
+    const tier = getTier(parseFloat(state.revenueData[month]) || 0, state.config.tiers);
+
+    if (tier.threshold !== previousTier.threshold) {
+      events.push({
+        type: tier.threshold > previousTier.threshold ? 'tier-reached' : 'tier-lost',
+        month,
+        tier,
+        previousTier
+      });
+    }
+  });
+
+  return events;
+}
+
+/**
+ * Create a notifier that renders events from templates and sends them through a transport
+ */
+export function createNotifier({ transport, templatesDirectory = TEMPLATES_DIRECTORY, from = DEFAULT_FROM }) {
+  const templates = new Map();
+
+  const getTemplate = async type => {
+    if (!templates.has(type)) {
+      templates.set(type, parseTemplate(await readFile(join(templatesDirectory, `${type}.txt`), 'utf8')));
+    }
+    return templates.get(type);
+  };
+
+  return {
+    /**
+     * Send a customer the notifications for a list of events, unless they opted out
+     *
+     * Returns the number of messages sent.
+     */
+    async notify(state, events) {
+      const email = state.customer?.email;
+
+      if (events.length === 0 || !email || state.notificationsOptOut) {
+        return 0;
+      }
+
+      for (const event of events) {
+        const template = await getTemplate(event.type);
+        const values = getTemplateValues(state, event);
+
+        await transport.send({
+          from,
+          to: email,
+          subject: renderTemplate(template.subject, values),
+          text: renderTemplate(template.body, values)
+        });
+      }
+
+      return events.length;
+    }
+  };
+}
+
+/**
+ * Get the notifier configured by STORE_CREDIT_NOTIFICATIONS and STORE_CREDIT_NOTIFICATIONS_FROM,
+ * or null when notifications are off
+ */
+export function getDefaultNotifier() {
+  if (defaultNotifier === undefined) {
+    const { STORE_CREDIT_NOTIFICATIONS, STORE_CREDIT_NOTIFICATIONS_FROM } = process.env;
+
+    defaultNotifier = STORE_CREDIT_NOTIFICATIONS
+      ? createNotifier({ transport: createTransport(STORE_CREDIT_NOTIFICATIONS), from: STORE_CREDIT_NOTIFICATIONS_FROM || DEFAULT_FROM })
+      : null;
+  }
+
+  return defaultNotifier;
+}
+
+/**
+ * Notify a customer of what changed in a credit write, for updateCustomerCredits' onWrite option
+ *
+ * The credits are already written by then, so the notifications are sent in the background rather
+ * than holding up the webhook response on a slow mail server, and a failed notification is only
+ * logged: failing the webhook would just have its retry skipped as a duplicate.
+ */
+export function notifyCreditChanges(previous, state, asOf) {
+  const notifier = getDefaultNotifier();
+
+  if (!notifier) {
+    return;
+  }
+
+  const sending = notifier.notify(state, getNotificationEvents(previous, state, asOf))
+    .then(sent => {
+      if (sent > 0) {
+        console.log(`Sent ${sent} store credit notifications to customer ${state.customer.id}`);
+      }
+    })
+    .catch(error => console.error('Error sending store credit notifications:', error))
+    .finally(() => pendingSends.delete(sending));
+
+  pendingSends.add(sending);
+}
+
+/**
+ * Wait for the notifications notifyCreditChanges is still sending
+ */
+export async function flushNotifications() {
+  await Promise.all(pendingSends);
+}
+
+/**
+ * Split a template into its "Subject:" first line and body
+ */
+function parseTemplate(text) {
+  const [firstLine, ...lines] = text.split('\n');
+  const subject = firstLine.match(/^Subject:\s*(.*)$/)?.[1];
+
+  if (subject === undefined) {
+    throw new Error('Notification templates must start with a "Subject:" line');
+  }
+
+  return { subject, body: lines.join('\n').replace(/^\n/, '') };
+}
+
+/**
+ * Replace {{ name }} placeholders with their values
+ */
+function renderTemplate(template, values) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => values[name] ?? '');
+}
+
+/**
+ * Build the values a template can use for an event
+ */
+function getTemplateValues(state, event) {
+  const currency = state.ledger.currency || 'USD';
+  const formatAmount = amount => new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+
+  return {
+    firstName: state.customer.firstName || 'there',
+    email: state.customer.email,
+    orderId: event.orderId,
+    amount: event.amount !== undefined ? formatAmount(event.amount) : undefined,
+    month: event.month && formatMonth(event.month),
+    availableDate: event.availableAt && formatDate(event.availableAt),
+    availableBalance: formatAmount(state.availableBalance),
+    pendingBalance: formatAmount(state.pendingBalance),
+    tierPercentage: event.tier && `${event.tier.percentage}%`,
+    tierThreshold: event.tier && formatAmount(event.tier.threshold),
+    previousTierPercentage: event.previousTier && `${event.previousTier.percentage}%`
+  };
+}
+
+function formatMonth(monthKey) {
+  const [year, month] = monthKey.split('-').map(Number);
+  return new Intl.DateTimeFormat('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' }).format(Date.UTC(year, month - 1, 1));
+}
+
+/**
+ * Format the shop-local date of a timestamp written with the shop's UTC offset
+ */
+function formatDate(timestamp) {
+  const [year, month, day] = timestamp.slice(0, 10).split('-').map(Number);
+  return new Intl.DateTimeFormat('en-US', { dateStyle: 'long', timeZone: 'UTC' }).format(Date.UTC(year, month - 1, day));
+}
@@ -0,0 +1,331 @@
+/**
+ * Order History Sources
+ *
+ * Reads the order history the backfill replays from a JSON lines file, an orders export CSV or the
+ * GraphQL Admin API, in the webhook payload shape.
+ */
+
+import { graphqlRequest } from './graphql.js';
+
+const ORDERS_PAGE_SIZE = 50;
+
+const BACKFILL_ORDERS_QUERY = `
+  query BackfillOrders($cursor: String, $query: String) {
+    orders(first: ${ORDERS_PAGE_SIZE}, after: $cursor, query: $query, sortKey: CREATED_AT) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      nodes {
+        legacyResourceId
+        name
+        createdAt
+        cancelledAt
+        taxesIncluded
+        customer {
+          legacyResourceId
+          email
+        }
+        purchasingEntity {
+          ... on PurchasingCompany {
+            company {
+              legacyResourceId
+            }
+            location {
+              legacyResourceId
+            }
+          }
+        }
+        subtotalPriceSet {
+          shopMoney {
+            amount
+          }
+        }
+        totalTaxSet {
+          shopMoney {
+            amount
+          }
+        }
+        shippingLines(first: 10) {
+          nodes {
+            originalPriceSet {
+              shopMoney {
+                amount
+              }
+            }
+          }
+        }
+        discountApplications(first: 20) {
+          nodes {
+            index
+            ... on AutomaticDiscountApplication {
+              title
+            }
+            ... on DiscountCodeApplication {
+              code
+            }
+            ... on ManualDiscountApplication {
+              title
+            }
+            ... on ScriptDiscountApplication {
+              title
+            }
+          }
+        }
+        lineItems(first: 250) {
+          nodes {
+            id
+            title
+            quantity
+            isGiftCard
+            product {
+              legacyResourceId
+            }
+            originalUnitPriceSet {
+              shopMoney {
+                amount
+              }
+            }
+            taxLines {
+              priceSet {
+                shopMoney {
+                  amount
+                }
+              }
+            }
+            discountAllocations {
+              allocatedAmountSet {
+                shopMoney {
+                  amount
+                }
+              }
+              discountApplication {
+                index
+              }
+            }
+          }
+        }
+        refunds {
+          legacyResourceId
+          createdAt
+          refundLineItems(first: 250) {
+            nodes {
+              subtotalSet {
+                shopMoney {
+                  amount
+                }
+              }
+              totalTaxSet {
+                shopMoney {
+                  amount
+                }
+              }
+              lineItem {
+                isGiftCard
+                product {
+                  legacyResourceId
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Parse a JSON lines file of orders
+ */
+export function parseOrdersJsonLines(text) {
+  return text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Invalid JSON on line ${index + 1} of the orders file: ${error.message}`);
+      }
+    });
+}
+
+/**
+ * Parse a Shopify orders export CSV into orders
+ *
+ * The first row of an order has the order-level columns; every row has one line item.
+ */
+export function parseOrdersCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  const orders = new Map();
+
+  rows.forEach(row => {
+    const record = Object.fromEntries(header.map((column, index) => [column.trim(), row[index] ?? '']));
+    const name = record.Name;
+
+    if (!name) {
+      return;
+    }
+
+    if (!orders.has(name)) {
+      const discountCode = record['Discount Code'];
+
+      orders.set(name, {
+        id: record.Id || name,
+        name,
+        email: record.Email,
+        customer: record.Email ? { email: record.Email } : null,
+        created_at: record['Created at'],
+        cancelled_at: record['Cancelled at'] || null,
+        subtotal_price: record.Subtotal,
+        total_tax: record.Taxes,
+        shipping_lines: record.Shipping ? [{ price: record.Shipping }] : [],
+        // Line discounts are all allocated from the order's discount code
+        discount_applications: discountCode ? [{ title: discountCode }] : [],
+        line_items: [],
+        refundedAmount: parseFloat(record['Refunded Amount']) || 0
+      });
+    }
+
+    const order = orders.get(name);
+    const lineDiscount = parseFloat(record['Lineitem discount']) || 0;
+
+    order.line_items.push({
+      id: `${name}-${order.line_items.length + 1}`,
+      title: record['Lineitem name'],
+      quantity: parseInt(record['Lineitem quantity'], 10) || 0,
+      price: record['Lineitem price'],
+      gift_card: false,
+      discount_allocations: lineDiscount > 0 && order.discount_applications.length > 0
+        ? [{ amount: lineDiscount.toFixed(2), discount_application_index: 0 }]
+        : []
+    });
+  });
+
+  return [...orders.values()].map(({ refundedAmount, ...order }) => ({
+    ...order,
+    refunds: refundedAmount > 0
+      ? [{ id: `${order.id}-refund`, created_at: order.cancelled_at || null, refund_line_items: [{ subtotal: refundedAmount.toFixed(2), line_item: {} }] }]
+      : []
+  }));
+}
+
+/**
+ * Page through a shop's orders with the Admin API, optionally filtered with an order search query
+ * such as "created_at:>=2024-01-01"
+ */
+export async function fetchOrders(apiClient, { query = null } = {}) {
+  const orders = [];
+  let cursor = null;
+
+  do {
+    const data = await graphqlRequest(apiClient, BACKFILL_ORDERS_QUERY, { cursor, query });
+    orders.push(...data.orders.nodes.map(toWebhookOrder));
+    cursor = data.orders.pageInfo.hasNextPage ? data.orders.pageInfo.endCursor : null;
+  } while (cursor);
+
+  return orders;
+}
+
+/**
+ * Convert a GraphQL order into the webhook payload shape, with amounts in shop money
+ */
+function toWebhookOrder(order) {
+  return {
+    id: order.legacyResourceId,
+    name: order.name,
+    created_at: order.createdAt,
+    cancelled_at: order.cancelledAt,
+    customer: order.customer && { id: order.customer.legacyResourceId, email: order.customer.email },
+    company: order.purchasingEntity?.company && {
+      id: order.purchasingEntity.company.legacyResourceId,
+      location_id: order.purchasingEntity.location?.legacyResourceId || null
+    },
+    taxes_included: order.taxesIncluded,
+    subtotal_price: order.subtotalPriceSet.shopMoney.amount,
+    total_tax: order.totalTaxSet.shopMoney.amount,
+    shipping_lines: order.shippingLines.nodes.map(shippingLine => ({
+      price: shippingLine.originalPriceSet.shopMoney.amount
+    })),
+    discount_applications: sortByIndex(order.discountApplications.nodes).map(application => ({
+      title: application.title || application.code
+    })),
+    line_items: order.lineItems.nodes.map(lineItem => ({
+      id: lineItem.id.split('/').pop(),
+      product_id: lineItem.product?.legacyResourceId || null,
+      title: lineItem.title,
+      quantity: lineItem.quantity,
+      price: lineItem.originalUnitPriceSet.shopMoney.amount,
+      gift_card: lineItem.isGiftCard,
+      tax_lines: lineItem.taxLines.map(taxLine => ({ price: taxLine.priceSet.shopMoney.amount })),
+      discount_allocations: lineItem.discountAllocations.map(allocation => ({
+        amount: allocation.allocatedAmountSet.shopMoney.amount,
+        discount_application_index: allocation.discountApplication.index
+      }))
+    })),
+    refunds: order.refunds.map(refund => ({
+      id: refund.legacyResourceId,
+      created_at: refund.createdAt,
+      refund_line_items: refund.refundLineItems.nodes.map(refundLineItem => ({
+        subtotal: refundLineItem.subtotalSet.shopMoney.amount,
+        total_tax: refundLineItem.totalTaxSet.shopMoney.amount,
+        line_item: {
+          gift_card: refundLineItem.lineItem.isGiftCard,
+          product_id: refundLineItem.lineItem.product?.legacyResourceId || null
+        }
+      }))
+    }))
+  };
+}
+
+function sortByIndex(applications) {
+  return [...applications].sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Parse CSV text into rows of fields, following RFC 4180 quoting
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value !== ''));
+}
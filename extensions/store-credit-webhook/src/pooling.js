@@ -0,0 +1,64 @@
+/**
+ * B2B Credit Pooling
+ *
+ * With `pooling` set, orders placed for a B2B company are credited to the credit metafields of the
+ * company or company location instead of the buyer.
+ */
+
+import { getConfig } from './config.js';
+
+const POOL_GID_PATTERN = /^gid:\/\/shopify\/(Company|CompanyLocation)\/\d+$/;
+
+/**
+ * Get the company an order was placed for, as `{ id, locationId }`, or null
+ */
+export function getOrderCompany(orderData) {
+  const company = orderData.company;
+
+  if (!company?.id) {
+    return null;
+  }
+
+  return { id: String(company.id), locationId: company.location_id ? String(company.location_id) : null };
+}
+
+/**
+ * Get the GraphQL ID of the pool an order is credited to at a pooling level, or null when its
+ * credits stay with the customer
+ */
+export function getPoolId(orderData, pooling) {
+  const company = getOrderCompany(orderData);
+
+  if (!pooling || !company) {
+    return null;
+  }
+
+  // An order without a location still belongs to its company's pool
+  return pooling === 'location' && company.locationId
+    ? `gid://shopify/CompanyLocation/${company.locationId}`
+    : `gid://shopify/Company/${company.id}`;
+}
+
+/**
+ * Get who an order's credits belong to: its pool when the program pools them, otherwise its
+ * customer
+ *
+ * The program configuration is only read for orders placed for a company.
+ */
+export async function getCreditOwnerId(apiClient, orderData) {
+  const customerId = orderData.customer?.id ?? null;
+
+  if (!getOrderCompany(orderData)) {
+    return customerId;
+  }
+
+  const { pooling } = await getConfig(apiClient);
+  return getPoolId(orderData, pooling) || customerId;
+}
+
+/**
+ * Check whether a credit owner ID is a company or company location pool
+ */
+export function isPoolId(ownerId) {
+  return POOL_GID_PATTERN.test(String(ownerId));
+}
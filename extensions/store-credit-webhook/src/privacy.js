@@ -0,0 +1,194 @@
+/**
+ * Privacy Webhook Handlers
+ *
+ * The mandatory customers/data_request, customers/redact and shop/redact webhooks, for the credit
+ * data kept in custom.* metafields and in the server's data directory.
+ */
+
+import { mkdir, readdir, readFile, rm, unlink, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { deleteConfig } from './config.js';
+import { deleteCustomerCredits, getCustomerCredits } from './metafields.js';
+import { getOutboxDirectory } from './notification-transports.js';
+import { createRetryQueue, DEFAULT_DATA_DIRECTORY } from './retry-queue.js';
+
+const DATA_REQUESTS_FOLDER = 'data-requests';
+
+/**
+ * Create the privacy webhook handlers, keyed by topic, working on a data directory
+ *
+ * `outboxDirectory` is where the file transport writes notifications: the one configured in
+ * STORE_CREDIT_NOTIFICATIONS, or the data directory's outbox.
+ */
+export function createPrivacyHandlers({ directory = DEFAULT_DATA_DIRECTORY, outboxDirectory = getDefaultOutboxDirectory(directory) } = {}) {
+  const queue = createRetryQueue({ directory });
+  const getExportDirectory = shop => join(directory, DATA_REQUESTS_FOLDER, encodeURIComponent(shop));
+
+  async function customersDataRequest(topic, shop, webhookRequestBody, apiClient) {
+    try {
+      const request = JSON.parse(webhookRequestBody);
+      const customerId = request.customer?.id;
+
+      if (!customerId) {
+        console.log('Invalid data request for store credit data');
+        return;
+      }
+
+      const state = await getCustomerCredits(apiClient, customerId);
+      const exportDirectory = getExportDirectory(shop);
+      const path = join(exportDirectory, `${customerId}-${request.data_request?.id ?? Date.now()}.json`);
+
+      await mkdir(exportDirectory, { recursive: true });
+      await writeFile(path, `${JSON.stringify(getCreditDataExport(shop, request, state), null, 2)}\n`);
+
+      console.log(`Exported store credit data of customer ${customerId} to ${path}`);
+    } catch (error) {
+      console.error('Error exporting store credit data:', error);
+      throw error;
+    }
+  }
+
+  async function customersRedact(topic, shop, webhookRequestBody, apiClient) {
+    try {
+      const request = JSON.parse(webhookRequestBody);
+      const customerId = request.customer?.id;
+
+      if (!customerId) {
+        console.log('Invalid redaction request for store credit data');
+        return;
+      }
+
+      const email = request.customer.email || null;
+      const deletedKeys = await deleteCustomerCredits(apiClient, customerId);
+      const orderIds = new Set((request.orders_to_redact || []).map(String));
+      const discardedJobs = await queue.discard(job => job.shop === shop && isCustomerJob(job, customerId, email, orderIds));
+      const deletedExports = await deleteExports(getExportDirectory(shop), `${customerId}-`);
+      const deletedMessages = email ? await deleteOutboxMessages(outboxDirectory, email) : 0;
+
+      console.log(`Redacted store credit data of customer ${customerId}: ${deletedKeys ? deletedKeys.length : 0} metafields, ${deletedExports} data request exports, ${discardedJobs} queued webhooks and ${deletedMessages} outbox notifications deleted`);
+    } catch (error) {
+      console.error('Error redacting store credit data:', error);
+      throw error;
+    }
+  }
+
+  async function shopRedact(topic, shop, webhookRequestBody, apiClient) {
+    try {
+      const discardedJobs = await queue.discard(job => job.shop === shop);
+      await rm(getExportDirectory(shop), { recursive: true, force: true });
+
+      console.log(`Deleted data request exports and ${discardedJobs} queued webhooks of ${shop}`);
+
+      try {
+        const deleted = await deleteConfig(apiClient);
+        console.log(deleted ? `Deleted the store credit program configuration of ${shop}` : `${shop} has no store credit program configuration`);
+      } catch (error) {
+        if (error.statusCode !== 401 && error.statusCode !== 403) {
+          throw error;
+        }
+
+        console.log(`Admin API access to ${shop} was refused, so its store credit program configuration is left for the shop to delete`);
+      }
+    } catch (error) {
+      console.error('Error redacting store credit data of shop:', error);
+      throw error;
+    }
+  }
+
+  return {
+    'customers/data_request': customersDataRequest,
+    'customers/redact': customersRedact,
+    'shop/redact': shopRedact
+  };
+}
+
+/**
+ * Build the export of a customer's credit data, with `credits` null when the shop has none
+ */
+function getCreditDataExport(shop, request, state) {
+  return {
+    shop,
+    dataRequestId: request.data_request?.id ?? null,
+    customerId: String(request.customer.id),
+    email: request.customer.email || null,
+    exportedAt: new Date().toISOString(),
+    credits: state && {
+      currency: state.ledger.currency,
+      availableBalance: state.availableBalance,
+      pendingBalance: state.pendingBalance,
+      totalRevenue: state.totalRevenue,
+      revenueByMonth: state.revenueData,
+      ledger: state.ledger.entries,
+      tierProgress: state.tierProgress,
+      creditExpirations: state.creditExpirations,
+      processedOrders: Object.keys(state.processedOrders),
+      reversedOrders: state.reversedOrders,
+      notificationsOptOut: state.notificationsOptOut
+    }
+  };
+}
+
+/**
+ * Check whether a queued webhook is about a customer or one of their orders
+ */
+function isCustomerJob(job, customerId, email, orderIds) {
+  try {
+    const body = JSON.parse(job.body);
+    return String(body.customer?.id) === String(customerId) ||
+      Boolean(email && [body.customer?.email, body.email].some(value => value?.toLowerCase() === email.toLowerCase())) ||
+      orderIds.has(String(body.order_id ?? body.id));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Delete the export files in a directory whose names start with `prefix`, returning how many
+ */
+async function deleteExports(directory, prefix) {
+  const exports = (await listFiles(directory)).filter(file => file.startsWith(prefix));
+  await Promise.all(exports.map(file => unlink(join(directory, file))));
+
+  return exports.length;
+}
+
+/**
+ * Delete the .eml notifications in an outbox that mention an email address, returning how many
+ */
+async function deleteOutboxMessages(directory, email) {
+  let deleted = 0;
+
+  for (const file of (await listFiles(directory)).filter(name => name.endsWith('.eml'))) {
+    const path = join(directory, file);
+
+    if ((await readFile(path, 'utf8')).toLowerCase().includes(email.toLowerCase())) {
+      await unlink(path);
+      deleted++;
+    }
+  }
+
+  return deleted;
+}
+
+/**
+ * Get the outbox of the file transport configured in STORE_CREDIT_NOTIFICATIONS, or the data
+ * directory's
+ */
+function getDefaultOutboxDirectory(directory) {
+  const { STORE_CREDIT_NOTIFICATIONS } = process.env;
+  return (STORE_CREDIT_NOTIFICATIONS && getOutboxDirectory(STORE_CREDIT_NOTIFICATIONS)) || join(directory, 'outbox');
+}
+
+/**
+ * List the files in a directory, or none when it doesn't exist
+ */
+async function listFiles(directory) {
+  try {
+    return await readdir(directory);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,39 @@
+/**
+ * Processed Order Ledger
+ *
+ * Records each order, cancellation and refund acted on in the processed_orders metafield, so
+ * duplicate deliveries are skipped.
+ */
+
+// How long an entry is kept after the date it happened on
+const PROCESSED_ORDER_RETENTION_DAYS = 2 * 366;
+
+/**
+ * Read the processed-order ledger from its metafield value, a date map or the legacy list of IDs
+ */
+export function parseProcessedOrders(value) {
+  if (Array.isArray(value)) {
+    return Object.fromEntries(value.map(entry => [String(entry), null]));
+  }
+
+  return value && typeof value === 'object' ? value : {};
+}
+
+/**
+ * Check whether an entry has already been processed
+ */
+export function isProcessed(state, entry) {
+  return Object.hasOwn(state.processedOrders, String(entry));
+}
+
+/**
+ * Add an entry to the processed-order ledger, dropping entries older than the retention period
+ * before `processedAt`
+ */
+export function recordProcessed(state, entry, processedAt = new Date()) {
+  const date = new Date(processedAt);
+  const cutoff = new Date(date.getTime() - PROCESSED_ORDER_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const kept = Object.entries(state.processedOrders).filter(([, processedOn]) => !processedOn || processedOn >= cutoff);
+
+  state.processedOrders = { ...Object.fromEntries(kept), [String(entry)]: date.toISOString().slice(0, 10) };
+}
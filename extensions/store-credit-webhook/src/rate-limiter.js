@@ -0,0 +1,212 @@
+/**
+ * Admin API Rate Limiting
+ *
+ * Wraps each shop's Admin API client to queue its requests, wait for GraphQL cost points and retry
+ * throttled requests.
+ */
+
+// Points assumed for an operation whose cost the API has not reported yet
+const DEFAULT_QUERY_COST = 50;
+
+const DEFAULT_MAX_CONCURRENCY = 2;
+const DEFAULT_MAX_RETRIES = 5;
+const BASE_BACKOFF_MS = 1000;
+
+/**
+ * Create a rate limiter shared by the Admin API clients of every shop
+ */
+export function createRateLimiter({
+  maxConcurrency = DEFAULT_MAX_CONCURRENCY,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  sleep = defaultSleep
+} = {}) {
+  const shops = new Map();
+
+  const getShopState = shop => {
+    if (!shops.has(shop)) {
+      shops.set(shop, {
+        active: 0,
+        waiting: [],
+        throttleStatus: null,
+        throttleStatusAt: 0,
+        operationCosts: {},
+        metrics: {
+          requests: 0,
+          throttledResponses: 0,
+          retries: 0,
+          throttleWaitMs: 0,
+          queued: 0,
+          maxQueued: 0
+        }
+      });
+    }
+
+    return shops.get(shop);
+  };
+
+  /**
+   * Wait until the shop's cost bucket can pay for an operation
+   */
+  async function waitForCapacity(state, shop, operationName) {
+    const { throttleStatus } = state;
+
+    if (!throttleStatus) {
+      return;
+    }
+
+    const cost = state.operationCosts[operationName] || DEFAULT_QUERY_COST;
+    const elapsedSeconds = (Date.now() - state.throttleStatusAt) / 1000;
+    const available = Math.min(
+      throttleStatus.maximumAvailable,
+      throttleStatus.currentlyAvailable + throttleStatus.restoreRate * elapsedSeconds
+    );
+
+    if (available >= cost) {
+      return;
+    }
+
+    const waitMs = Math.ceil((cost - available) / throttleStatus.restoreRate * 1000);
+    state.metrics.throttleWaitMs += waitMs;
+    console.log(`Admin API cost bucket for ${shop} is low (${Math.floor(available)} of ${cost} points), waiting ${waitMs}ms`);
+    await sleep(waitMs);
+  }
+
+  /**
+   * Send one request, retrying it while the API reports it as throttled
+   */
+  async function send(state, shop, apiClient, request) {
+    const operationName = getOperationName(request.data?.query);
+
+    for (let attempt = 0; ; attempt++) {
+      await waitForCapacity(state, shop, operationName);
+      state.metrics.requests++;
+
+      let response;
+      try {
+        response = await apiClient.query(request);
+      } catch (error) {
+        if (getStatusCode(error) !== 429 || attempt >= maxRetries) {
+          throw error;
+        }
+
+        await backOff(state, shop, getRetryAfterMs(error) ?? BASE_BACKOFF_MS * 2 ** attempt, 'HTTP 429');
+        continue;
+      }
+
+      const cost = response.body?.extensions?.cost;
+      if (cost) {
+        state.throttleStatus = cost.throttleStatus;
+        state.throttleStatusAt = Date.now();
+        state.operationCosts[operationName] = cost.actualQueryCost ?? cost.requestedQueryCost;
+      }
+
+      if (!isThrottled(response) || attempt >= maxRetries) {
+        return response;
+      }
+
+      // A throttled query cost nothing; wait for enough points to run it
+      const requested = cost?.requestedQueryCost || DEFAULT_QUERY_COST;
+      const restoreMs = cost
+        ? Math.ceil(Math.max(0, requested - cost.throttleStatus.currentlyAvailable) / cost.throttleStatus.restoreRate * 1000)
+        : BASE_BACKOFF_MS * 2 ** attempt;
+      await backOff(state, shop, restoreMs, 'GraphQL THROTTLED');
+    }
+  }
+
+  async function backOff(state, shop, waitMs, reason) {
+    state.metrics.throttledResponses++;
+    state.metrics.retries++;
+    state.metrics.throttleWaitMs += waitMs;
+    console.log(`Admin API throttled ${shop} (${reason}), retrying in ${waitMs}ms`);
+    await sleep(waitMs);
+  }
+
+  /**
+   * Run a request when one of the shop's slots is free
+   *
+   * A finished request hands its slot straight to the next queued one, so a request arriving
+   * before that one resumes can't take the slot as well.
+   */
+  async function enqueue(state, task) {
+    if (state.active >= maxConcurrency) {
+      state.metrics.queued++;
+      state.metrics.maxQueued = Math.max(state.metrics.maxQueued, state.waiting.length + 1);
+      await new Promise(resolve => state.waiting.push(resolve));
+    } else {
+      state.active++;
+    }
+
+    try {
+      return await task();
+    } finally {
+      const next = state.waiting.shift();
+
+      if (next) {
+        next();
+      } else {
+        state.active--;
+      }
+    }
+  }
+
+  return {
+    /**
+     * Wrap a shop's Admin API client so its requests are queued and throttled
+     */
+    wrap(shop, apiClient) {
+      const state = getShopState(shop);
+
+      return {
+        query: request => enqueue(state, () => send(state, shop, apiClient, request))
+      };
+    },
+
+    /**
+     * Throttling metrics per shop, with the last cost bucket the API reported
+     */
+    getMetrics() {
+      const metrics = {};
+
+      shops.forEach((state, shop) => {
+        metrics[shop] = {
+          ...state.metrics,
+          active: state.active,
+          waiting: state.waiting.length,
+          throttleStatus: state.throttleStatus
+        };
+      });
+
+      return metrics;
+    }
+  };
+}
+
+/**
+ * Check whether a GraphQL response was rejected for exceeding the cost limit
+ */
+function isThrottled(response) {
+  return (response.body?.errors || []).some(error => error.extensions?.code === 'THROTTLED');
+}
+
+/**
+ * Read the HTTP status of a failed request, from this repo's admin client or @shopify/shopify-api
+ */
+function getStatusCode(error) {
+  return error.statusCode ?? error.response?.code;
+}
+
+/**
+ * Read the Retry-After delay of a failed request in milliseconds, if the API sent one
+ */
+function getRetryAfterMs(error) {
+  const retryAfter = parseFloat(error.retryAfter ?? error.response?.retryAfter);
+  return Number.isFinite(retryAfter) ? retryAfter * 1000 : null;
+}
+
+function getOperationName(query) {
+  return query?.match(/(?:query|mutation)\s+(\w+)/)?.[1] || 'anonymous';
+}
+
+function defaultSleep(milliseconds) {
+  return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
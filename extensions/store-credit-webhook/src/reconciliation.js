@@ -0,0 +1,159 @@
+/**
+ * Credit Reconciliation
+ *
+ * Checks that a customer's credit metafields agree with each other and with a recalculation from
+ * their order history, one discrepancy row per mismatch.
+ */
+
+import { backfillCustomer } from './backfill.js';
+import { getLedgerBalance } from './ledger.js';
+
+// Amounts closer than this are treated as equal
+const TOLERANCE = 0.005;
+
+// Ledger entries that make up a month's earned credits
+const MONTH_CREDIT_TYPES = ['earn', 'reverse'];
+
+export const REPORT_COLUMNS = ['customerId', 'email', 'month', 'check', 'expected', 'actual', 'difference'];
+
+/**
+ * Find the places where a customer's credit metafields disagree with each other
+ */
+export function checkConsistency(state) {
+  const discrepancies = [];
+
+  const entriesTotal = state.ledger.entries.reduce((total, entry) => total + parseFloat(entry.amount), 0);
+  addIfDifferent(discrepancies, null, 'ledger-balance', entriesTotal, parseFloat(state.ledger.balance) || 0);
+
+  const monthsTotal = Object.values(state.revenueData).reduce((total, amount) => total + (parseFloat(amount) || 0), 0);
+  addIfDifferent(discrepancies, null, 'total-revenue-vs-months', monthsTotal, state.totalRevenue);
+
+  // Campaign credits come on top of the tiers, so they are left out of this check. Months are
+  // checked at the rate they were credited at, not today's tiers, and months with no rate on record
+  // (migrated credits) are left out.
+  const monthCredits = getMonthCredits(state.ledger, { includeCampaigns: false });
+  const monthRates = getMonthTierPercentages(state.ledger);
+
+  Object.keys(monthRates).sort().forEach(month => {
+    const revenue = parseFloat(state.revenueData[month]) || 0;
+    const expected = parseFloat((revenue * monthRates[month] / 100).toFixed(2));
+    addIfDifferent(discrepancies, month, 'month-credits-vs-tiers', expected, monthCredits[month] || 0);
+  });
+
+  return discrepancies;
+}
+
+/**
+ * Find the places where a customer's stored credit state differs from one recalculated from orders
+ */
+export function compareWithOrders(current, computed) {
+  const discrepancies = [];
+
+  const currentCredits = getMonthCredits(current.ledger);
+  const computedCredits = getMonthCredits(computed.ledger);
+  const months = new Set([
+    ...Object.keys(current.revenueData),
+    ...Object.keys(computed.revenueData),
+    ...Object.keys(currentCredits),
+    ...Object.keys(computedCredits)
+  ]);
+
+  [...months].sort().forEach(month => {
+    addIfDifferent(discrepancies, month, 'month-revenue', parseFloat(computed.revenueData[month]) || 0, parseFloat(current.revenueData[month]) || 0);
+    addIfDifferent(discrepancies, month, 'month-credits', computedCredits[month] || 0, currentCredits[month] || 0);
+  });
+
+  addIfDifferent(discrepancies, null, 'total-revenue', computed.totalRevenue, current.totalRevenue);
+
+  const currentBalance = getLedgerBalance(current.ledger);
+  const computedBalance = getLedgerBalance(computed.ledger);
+  addIfDifferent(discrepancies, null, 'balance', computedBalance.total, currentBalance.total);
+  addIfDifferent(discrepancies, null, 'available-balance', computedBalance.available, currentBalance.available);
+
+  return discrepancies;
+}
+
+/**
+ * Reconcile one customer against their orders, writing the recalculated state when `apply` is set
+ * and there are discrepancies
+ *
+ * Returns `{ discrepancies, applied }`, or null when the customer does not exist.
+ */
+export async function reconcileCustomer(apiClient, customerId, orders, { apply = false } = {}) {
+  const report = await backfillCustomer(apiClient, customerId, orders);
+
+  if (!report) {
+    return null;
+  }
+
+  const { current, computed } = report;
+  const customer = { customerId: String(customerId), email: current.customer.email || '' };
+  const discrepancies = [...checkConsistency(current), ...compareWithOrders(current, computed)]
+    .map(discrepancy => ({ ...customer, ...discrepancy }));
+
+  if (!apply || discrepancies.length === 0) {
+    return { discrepancies, applied: false };
+  }
+
+  const { applied } = await backfillCustomer(apiClient, customerId, orders, { apply: true });
+  return { discrepancies, applied };
+}
+
+/**
+ * Format discrepancy rows as CSV
+ */
+export function toCsv(discrepancies) {
+  const rows = discrepancies.map(discrepancy => REPORT_COLUMNS.map(column => csvField(discrepancy[column])).join(','));
+  return [REPORT_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+/**
+ * Sum the earned credits of each month in a ledger
+ */
+function getMonthCredits(ledger, { includeCampaigns = true } = {}) {
+  const monthCredits = {};
+
+  ledger.entries
+    .filter(entry => MONTH_CREDIT_TYPES.includes(entry.type) && entry.month)
+    .filter(entry => includeCampaigns || !entry.campaign)
+    .forEach(entry => {
+      monthCredits[entry.month] = (monthCredits[entry.month] || 0) + parseFloat(entry.amount);
+    });
+
+  return monthCredits;
+}
+
+/**
+ * Get the tier percentage each month was last credited at, from its earn and reverse entries
+ */
+function getMonthTierPercentages(ledger) {
+  const monthRates = {};
+
+  ledger.entries
+    .filter(entry => MONTH_CREDIT_TYPES.includes(entry.type) && entry.month && !entry.campaign)
+    .filter(entry => entry.tierPercentage !== undefined)
+    .forEach(entry => {
+      monthRates[entry.month] = entry.tierPercentage;
+    });
+
+  return monthRates;
+}
+
+function addIfDifferent(discrepancies, month, check, expected, actual) {
+  const difference = (parseFloat(actual) || 0) - (parseFloat(expected) || 0);
+
+  if (Math.abs(difference) >= TOLERANCE) {
+    discrepancies.push({
+      month: month || '',
+      check,
+      expected: Number(expected).toFixed(2),
+      actual: Number(actual).toFixed(2),
+      difference: difference.toFixed(2)
+    });
+  }
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,79 @@
+/**
+ * Store Credit Redemption
+ *
+ * Records a redeem entry in the credit ledger when an order paid part of its total with store
+ * credits. Only credits that were already available when the order was placed can be redeemed
+ * (the "next month" rule), and they are consumed oldest first.
+ */
+
+import { createLedgerEntry, getLedgerBalance } from './ledger.js';
+import { getShopAmount } from './money.js';
+
+// Message the discount function gives the store credit discount, with the credits in shop currency
+const STORE_CREDIT_DISCOUNT_PATTERN = /^Applied ([\d,.]+) store credits$/;
+
+/**
+ * Check whether an order discount application is the store credit discount
+ */
+export function isStoreCreditDiscount(application) {
+  return STORE_CREDIT_DISCOUNT_PATTERN.test(application.title || application.description || '');
+}
+
+/**
+ * Work out how many store credits an order redeemed, in shop currency
+ *
+ * Only the store credit discount applied to the order counts. Its value is in the order's
+ * presentment currency, so the credits are read from its message, which the discount function
+ * writes in shop currency, or else from the shop money of its line allocations. The
+ * store_credits_to_apply attribute is only the customer's request, which the discount function
+ * may have turned down, so an order without the discount redeemed nothing.
+ */
+export function getRedeemedCredits(orderData) {
+  const applications = orderData.discount_applications || [];
+  const storeCreditIndex = applications.findIndex(isStoreCreditDiscount);
+
+  if (storeCreditIndex !== -1) {
+    const storeCreditDiscount = applications[storeCreditIndex];
+    const [, messageAmount] = (storeCreditDiscount.title || storeCreditDiscount.description).match(STORE_CREDIT_DISCOUNT_PATTERN);
+    const messageCredits = parseFloat(messageAmount.replace(/,/g, ''));
+
+    if (!isNaN(messageCredits)) {
+      return messageCredits;
+    }
+
+    const allocatedCredits = (orderData.line_items || [])
+      .flatMap(lineItem => lineItem.discount_allocations || [])
+      .filter(allocation => allocation.discount_application_index === storeCreditIndex)
+      .reduce((total, allocation) => total + getShopAmount(allocation, 'amount'), 0);
+
+    return parseFloat(allocatedCredits.toFixed(2));
+  }
+
+  return 0;
+}
+
+/**
+ * Build the redeem ledger entry for an order, limited to the balance available when it was placed
+ */
+export function createRedemptionEntry(ledger, orderData, monthKey, creditsUsed) {
+  const orderDate = orderData.created_at || new Date().toISOString();
+  const { available } = getLedgerBalance(ledger, orderDate);
+  const creditsDebited = parseFloat(Math.min(creditsUsed, Math.max(0, available)).toFixed(2));
+
+  if (creditsDebited < creditsUsed) {
+    console.log(`Order ${orderData.id} redeemed ${creditsUsed} credits but only ${creditsDebited} were available`);
+  }
+
+  if (creditsDebited <= 0) {
+    return null;
+  }
+
+  return createLedgerEntry({
+    id: `redeem:${orderData.id}`,
+    type: 'redeem',
+    amount: -creditsDebited,
+    orderId: orderData.id,
+    month: monthKey,
+    createdAt: orderDate
+  });
+}
@@ -0,0 +1,271 @@
+/**
+ * Webhook Retry Queue
+ *
+ * Failed deliveries are kept on disk, one JSON file per job, and retried with exponential backoff
+ * until they succeed or are moved to the dead-letter store.
+ */
+
+import { randomUUID } from 'node:crypto';
+import { mkdir, readdir, readFile, rename, unlink, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+export const DEFAULT_DATA_DIRECTORY = process.env.STORE_CREDIT_DATA_DIR || '.store-credit-data';
+
+const QUEUE_FOLDER = 'queue';
+const DEAD_LETTER_FOLDER = 'dead-letter';
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_BASE_DELAY_MS = 30 * 1000;
+const DEFAULT_MAX_DELAY_MS = 60 * 60 * 1000;
+
+/**
+ * Create a retry queue and dead-letter store in a directory
+ *
+ * With the defaults a job is attempted 8 times, waiting 30 seconds after the first failure and
+ * twice as long after each one after that, up to an hour.
+ */
+export function createRetryQueue({
+  directory = DEFAULT_DATA_DIRECTORY,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  baseDelayMs = DEFAULT_BASE_DELAY_MS,
+  maxDelayMs = DEFAULT_MAX_DELAY_MS
+} = {}) {
+  const queueDirectory = join(directory, QUEUE_FOLDER);
+  const deadLetterDirectory = join(directory, DEAD_LETTER_FOLDER);
+
+  const getRetryDelay = attempts => Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+
+  async function ensureDirectories() {
+    await mkdir(queueDirectory, { recursive: true });
+    await mkdir(deadLetterDirectory, { recursive: true });
+  }
+
+  return {
+    directory,
+
+    /**
+     * Queue a delivery whose first attempt failed
+     */
+    async enqueue({ topic, shop, body }, error) {
+      await ensureDirectories();
+
+      const job = {
+        id: `${Date.now()}-${randomUUID().slice(0, 8)}`,
+        topic,
+        shop,
+        body,
+        attempts: 0,
+        createdAt: new Date().toISOString()
+      };
+
+      return this.recordFailure(job, error);
+    },
+
+    /**
+     * Record a failed attempt, scheduling the next retry or giving up on the job
+     */
+    async recordFailure(job, error) {
+      // A job read back from an existing queue may be the first to reach the dead-letter store
+      await ensureDirectories();
+
+      const failedJob = {
+        ...job,
+        attempts: job.attempts + 1,
+        lastError: error?.message || String(error),
+        lastAttemptAt: new Date().toISOString()
+      };
+
+      if (failedJob.attempts >= maxAttempts) {
+        delete failedJob.nextAttemptAt;
+        await writeJob(deadLetterDirectory, failedJob);
+        await removeJob(queueDirectory, failedJob.id);
+        console.error(`Webhook job ${failedJob.id} (${failedJob.topic}) failed ${failedJob.attempts} times, moved to the dead-letter store`);
+        return failedJob;
+      }
+
+      failedJob.nextAttemptAt = new Date(Date.now() + getRetryDelay(failedJob.attempts)).toISOString();
+      await writeJob(queueDirectory, failedJob);
+      console.log(`Webhook job ${failedJob.id} (${failedJob.topic}) failed, retrying at ${failedJob.nextAttemptAt}`);
+      return failedJob;
+    },
+
+    /**
+     * Remove a job that has now succeeded
+     */
+    async complete(job) {
+      await removeJob(queueDirectory, job.id);
+    },
+
+    /**
+     * List the queued jobs whose next attempt is due, oldest first
+     */
+    async listDue(now = new Date()) {
+      const jobs = await readJobs(queueDirectory);
+      return jobs.filter(job => new Date(job.nextAttemptAt) <= now);
+    },
+
+    /**
+     * List every job waiting for a retry
+     */
+    async listQueued() {
+      return readJobs(queueDirectory);
+    },
+
+    /**
+     * List every job in the dead-letter store
+     */
+    async listDeadLetters() {
+      return readJobs(deadLetterDirectory);
+    },
+
+    /**
+     * Get one dead-lettered job by ID
+     */
+    async getDeadLetter(id) {
+      return readJob(join(deadLetterDirectory, `${id}.json`));
+    },
+
+    /**
+     * Remove every queued and dead-lettered job `predicate` matches, returning how many there were
+     */
+    async discard(predicate) {
+      const jobs = [
+        ...(await readJobs(queueDirectory)).filter(predicate).map(job => [queueDirectory, job]),
+        ...(await readJobs(deadLetterDirectory)).filter(predicate).map(job => [deadLetterDirectory, job])
+      ];
+
+      await Promise.all(jobs.map(([jobDirectory, job]) => removeJob(jobDirectory, job.id)));
+
+      return jobs.length;
+    },
+
+    /**
+     * Move a dead-lettered job back onto the queue with a fresh set of attempts, due immediately
+     */
+    async redrive(id) {
+      const job = await this.getDeadLetter(id);
+
+      if (!job) {
+        return null;
+      }
+
+      await ensureDirectories();
+      const redriven = { ...job, attempts: 0, nextAttemptAt: new Date().toISOString(), redrivenAt: new Date().toISOString() };
+      await writeJob(queueDirectory, redriven);
+      await removeJob(deadLetterDirectory, id);
+
+      return redriven;
+    }
+  };
+}
+
+/**
+ * Run every job due by `now` through its handler once
+ *
+ * Returns how many jobs succeeded and how many failed again.
+ */
+export async function processDueJobs(queue, { handlers, getApiClient, now = new Date() }) {
+  const results = { succeeded: 0, failed: 0 };
+
+  for (const job of await queue.listDue(now)) {
+    try {
+      const handler = handlers[job.topic];
+
+      if (!handler) {
+        throw new Error(`No handler for webhook topic ${job.topic}`);
+      }
+
+      await handler(job.topic, job.shop, job.body, await getApiClient(job.shop));
+      await queue.complete(job);
+      results.succeeded++;
+      console.log(`Webhook job ${job.id} (${job.topic}) succeeded on attempt ${job.attempts + 1}`);
+    } catch (error) {
+      await queue.recordFailure(job, error);
+      results.failed++;
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Process due jobs every `intervalMs` until the returned function is called
+ */
+export function startRetryWorker(queue, options, intervalMs = 10 * 1000) {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    // Never run two passes over the queue at once
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      await processDueJobs(queue, options);
+    } catch (error) {
+      console.error('Error processing the webhook retry queue:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+/**
+ * Write a job file atomically, through a temporary file and a rename
+ */
+async function writeJob(directory, job) {
+  const path = join(directory, `${job.id}.json`);
+  const temporaryPath = `${path}.${process.pid}.tmp`;
+
+  await writeFile(temporaryPath, `${JSON.stringify(job, null, 2)}\n`);
+  await rename(temporaryPath, path);
+}
+
+async function removeJob(directory, id) {
+  try {
+    await unlink(join(directory, `${id}.json`));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+}
+
+async function readJob(path) {
+  try {
+    return JSON.parse(await readFile(path, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read every job file in a directory, oldest first (job IDs start with their creation time)
+ */
+async function readJobs(directory) {
+  let files;
+
+  try {
+    files = await readdir(directory);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const jobs = await Promise.all(files
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => readJob(join(directory, file))));
+
+  return jobs.filter(Boolean);
+}
@@ -0,0 +1,163 @@
+/**
+ * Order Cancellation and Refund Webhook Handlers
+ *
+ * Take a cancelled or refunded order's revenue back out of its month and re-rate the month, never
+ * reversing more than the order was credited with.
+ */
+
+import { getEarningBase, getRefundedEarningBase } from './earning.js';
+import { reverseOrderCredits } from './engine.js';
+import { memoizeExcludedProducts } from './exclusions.js';
+import { graphqlRequest } from './graphql.js';
+import { updateCustomerCredits } from './metafields.js';
+import { notifyCreditChanges } from './notifications.js';
+import { getCreditOwnerId } from './pooling.js';
+import { isProcessed } from './processed-orders.js';
+
+const ORDER_QUERY = `
+  query RefundedOrder($orderId: ID!) {
+    order(id: $orderId) {
+      legacyResourceId
+      createdAt
+      taxesIncluded
+      customer {
+        legacyResourceId
+      }
+      purchasingEntity {
+        ... on PurchasingCompany {
+          company {
+            legacyResourceId
+          }
+          location {
+            legacyResourceId
+          }
+        }
+      }
+    }
+  }
+`;
+
+export async function orderCancelled(topic, shop, webhookRequestBody, apiClient) {
+  try {
+    // Parse the webhook body
+    const orderData = JSON.parse(webhookRequestBody);
+
+    const orderId = orderData.id;
+    const customerId = orderData.customer?.id;
+
+    if (!orderId || !customerId) {
+      console.log('Invalid cancelled order data for store credit processing');
+      return;
+    }
+
+    // Orders without eligible merchandise are never credited (see index.js), so there is nothing to reverse
+    if (getEarningBase(orderData).earnable <= 0) {
+      console.log(`Cancelled order ${orderId} has no eligible merchandise, nothing to reverse`);
+      return;
+    }
+
+    // Reverse whatever part of the order's earning base a refund has not already taken back
+    const reversed = await reverseOrder(apiClient, orderData, `cancel:${orderId}`, async () => ({
+      processedAt: orderData.cancelled_at
+    }));
+
+    if (reversed !== false) {
+      console.log(`Reversed ${reversed.toFixed(2)} of revenue for cancelled order ${orderId}`);
+    }
+  } catch (error) {
+    console.error('Error processing order cancellation for store credits:', error);
+    throw error;
+  }
+}
+
+export async function refundCreated(topic, shop, webhookRequestBody, apiClient) {
+  try {
+    // Parse the webhook body
+    const refundData = JSON.parse(webhookRequestBody);
+
+    const refundId = refundData.id;
+    const orderId = refundData.order_id;
+
+    if (!refundId || !orderId || getRefundedEarningBase(refundData) <= 0) {
+      console.log('No refunded amount to reverse for store credits');
+      return;
+    }
+
+    // Refund payloads don't carry the customer or order date, so fetch the order
+    const orderData = await getOrder(apiClient, orderId);
+    const customerId = orderData?.customer?.id;
+
+    if (!customerId) {
+      console.log(`Order ${orderId} has no customer, nothing to reverse`);
+      return;
+    }
+
+    const refundLineItems = (refundData.refund_line_items || []).map(refundLineItem => refundLineItem.line_item || {});
+    const getExcludedProducts = memoizeExcludedProducts(apiClient, refundLineItems);
+    const reversed = await reverseOrder(apiClient, orderData, `refund:${refundId}`, async state => ({
+      amount: getRefundedEarningBase(refundData, await getExcludedProducts(state.config.exclusions), orderData.taxes_included),
+      processedAt: refundData.created_at
+    }));
+
+    if (reversed !== false) {
+      console.log(`Reversed ${reversed.toFixed(2)} of revenue for refund ${refundId} on order ${orderId}`);
+    }
+  } catch (error) {
+    console.error('Error processing refund for store credits:', error);
+    throw error;
+  }
+}
+
+/**
+ * Fetch the fields of an order a reversal needs, in the shape of the order webhook payload
+ */
+async function getOrder(apiClient, orderId) {
+  const data = await graphqlRequest(apiClient, ORDER_QUERY, {
+    orderId: `gid://shopify/Order/${orderId}`
+  });
+
+  if (!data.order) {
+    return null;
+  }
+
+  return {
+    id: data.order.legacyResourceId,
+    created_at: data.order.createdAt,
+    taxes_included: data.order.taxesIncluded,
+    customer: data.order.customer && { id: data.order.customer.legacyResourceId },
+    company: data.order.purchasingEntity?.company && {
+      id: data.order.purchasingEntity.company.legacyResourceId,
+      location_id: data.order.purchasingEntity.location?.legacyResourceId || null
+    }
+  };
+}
+
+/**
+ * Reverse part of a credited order inside a compare-and-swap update of the credits it was
+ * credited to
+ *
+ * `getReversal` receives the credit state and resolves to the `{ amount, processedAt }` options
+ * of reverseOrderCredits, so they can depend on the program configuration.
+ */
+async function reverseOrder(apiClient, orderData, processedEntry, getReversal) {
+  const ownerIds = [...new Set([await getCreditOwnerId(apiClient, orderData), orderData.customer.id].map(String))];
+
+  for (const [index, ownerId] of ownerIds.entries()) {
+    let found = false;
+    const reversed = await updateCustomerCredits(apiClient, ownerId, async state => {
+      // The customer is tried next when the pool never credited the order
+      if (index < ownerIds.length - 1 && !isProcessed(state, orderData.id)) {
+        return false;
+      }
+
+      found = true;
+      return reverseOrderCredits(state, orderData, processedEntry, await getReversal(state));
+    }, { onWrite: notifyCreditChanges });
+
+    if (found) {
+      return reversed;
+    }
+  }
+
+  return false;
+}
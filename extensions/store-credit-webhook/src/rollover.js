@@ -0,0 +1,231 @@
+/**
+ * Month-Start Rollover
+ *
+ * Refreshes available and pending balances at the start of each shop-local month, when last month's
+ * credits become available, and writes off expired credits.
+ */
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { getDueExpiryEntries } from './expiry.js';
+import { graphqlRequest } from './graphql.js';
+import { appendLedgerEntries, getLedgerBalance } from './ledger.js';
+import { getCustomerCredits, updateCustomerCredits } from './metafields.js';
+import { getDateKey, getDayStart, getNextDateKey } from './months.js';
+import { notifyCreditChanges } from './notifications.js';
+import { DEFAULT_DATA_DIRECTORY } from './retry-queue.js';
+
+const CUSTOMERS_PAGE_SIZE = 100;
+
+// File in the data directory recording the last month the scheduler rolled over
+const ROLLOVER_STATE_FILE = 'rollover.json';
+
+const SHOP_TIMEZONE_QUERY = `
+  query ShopTimezone {
+    shop {
+      ianaTimezone
+    }
+  }
+`;
+
+const CREDIT_CUSTOMERS_QUERY = `
+  query CreditCustomers($cursor: String) {
+    customers(first: ${CUSTOMERS_PAGE_SIZE}, after: $cursor) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      nodes {
+        legacyResourceId
+        creditLedger: metafield(namespace: "custom", key: "credit_ledger") {
+          id
+        }
+      }
+    }
+  }
+`;
+
+const CREDIT_COMPANIES_QUERY = `
+  query CreditCompanies($cursor: String) {
+    companies(first: ${CUSTOMERS_PAGE_SIZE}, after: $cursor) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      nodes {
+        id
+        creditLedger: metafield(namespace: "custom", key: "credit_ledger") {
+          id
+        }
+      }
+    }
+  }
+`;
+
+const CREDIT_COMPANY_LOCATIONS_QUERY = `
+  query CreditCompanyLocations($cursor: String) {
+    companyLocations(first: ${CUSTOMERS_PAGE_SIZE}, after: $cursor) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      nodes {
+        id
+        creditLedger: metafield(namespace: "custom", key: "credit_ledger") {
+          id
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Thrown when a rollover that would write balances is asked for a date after today
+ */
+export class RolloverDateError extends Error {
+  constructor(date, today) {
+    super(`Can't roll over to ${date}, which is not today (${today}) in the shop's timezone; use a dry run to work it out`);
+    this.name = 'RolloverDateError';
+    this.date = date;
+  }
+}
+
+/**
+ * Refresh the balances of every customer with a credit ledger, as of the end of a shop-local
+ * "YYYY-MM-DD" date (today by default)
+ *
+ * Credits that expired by then, when the program has them expire, are written off first. Returns a
+ * summary per customer: `{ customerId, available, pending, expired }`, where the customerId of a
+ * pool is its GraphQL ID. With `dryRun`, nothing is written and customers aren't notified; only a
+ * dry run accepts a date other than `today`, which is the shop-local date now unless given.
+ */
+export async function runRollover(apiClient, { date = null, customerIds = null, dryRun = false, today = null } = {}) {
+  const { shop } = await graphqlRequest(apiClient, SHOP_TIMEZONE_QUERY);
+  const timeZone = shop.ianaTimezone || 'UTC';
+  today = today || getDateKey(new Date(), timeZone);
+
+  if (date && date !== today && !dryRun) {
+    throw new RolloverDateError(date, today);
+  }
+
+  const asOf = getEndOfDay(date || today, timeZone);
+  const results = [];
+
+  for (const customerId of customerIds || await listCreditOwners(apiClient)) {
+    const result = dryRun
+      ? await previewRollover(apiClient, customerId, asOf)
+      : await updateCustomerCredits(apiClient, customerId, state => rollOver(state, customerId, asOf), { asOf, onWrite: notifyCreditChanges });
+
+    if (result) {
+      results.push(result);
+    }
+  }
+
+  console.log(`${dryRun ? 'Worked out' : 'Rolled over'} store credit balances of ${results.length} customers and pools as of ${asOf.toISOString()}`);
+  return results;
+}
+
+/**
+ * Write off a customer's credits that expired by `asOf`, returning their rollover summary
+ */
+function rollOver(state, customerId, asOf) {
+  const expiryEntries = getDueExpiryEntries(state, asOf);
+  state.ledger = appendLedgerEntries(state.ledger, expiryEntries);
+
+  const { available, pending } = getLedgerBalance(state.ledger, asOf);
+  const expired = -expiryEntries.reduce((total, entry) => total + parseFloat(entry.amount), 0);
+  return { customerId: String(customerId), available, pending, expired: parseFloat(expired.toFixed(2)) };
+}
+
+async function previewRollover(apiClient, customerId, asOf) {
+  const state = await getCustomerCredits(apiClient, customerId);
+  return state ? rollOver(state, customerId, asOf) : null;
+}
+
+/**
+ * Run the rollover once each shop-local month, checking every `intervalMs`, until the returned
+ * function is called
+ *
+ * The last month rolled over is kept in the data directory, so a restart doesn't repeat it and a
+ * server that was down on the 1st catches up when it starts.
+ */
+export function startRolloverScheduler(apiClient, { directory = DEFAULT_DATA_DIRECTORY, intervalMs = 15 * 60 * 1000 } = {}) {
+  const statePath = join(directory, ROLLOVER_STATE_FILE);
+  let running = false;
+
+  const check = async () => {
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      const { shop } = await graphqlRequest(apiClient, SHOP_TIMEZONE_QUERY);
+      const today = getDateKey(new Date(), shop.ianaTimezone || 'UTC');
+      const lastRollover = await readRolloverState(statePath);
+
+      if (lastRollover.month !== today.slice(0, 7)) {
+        await runRollover(apiClient, { date: today });
+        await mkdir(directory, { recursive: true });
+        await writeFile(statePath, `${JSON.stringify({ month: today.slice(0, 7), ranAt: new Date().toISOString() })}\n`);
+      }
+    } catch (error) {
+      console.error('Error running the store credit rollover:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  check();
+  const timer = setInterval(check, intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+/**
+ * List the customers, companies and company locations with a credit ledger
+ */
+async function listCreditOwners(apiClient) {
+  return [
+    ...await listWithCreditLedger(apiClient, CREDIT_CUSTOMERS_QUERY, 'customers', customer => customer.legacyResourceId),
+    ...await listWithCreditLedger(apiClient, CREDIT_COMPANIES_QUERY, 'companies', company => company.id),
+    ...await listWithCreditLedger(apiClient, CREDIT_COMPANY_LOCATIONS_QUERY, 'companyLocations', location => location.id)
+  ];
+}
+
+/**
+ * Page through a connection, keeping the IDs of the nodes with a credit ledger
+ */
+async function listWithCreditLedger(apiClient, query, connection, getId) {
+  const ids = [];
+  let cursor = null;
+
+  do {
+    const data = await graphqlRequest(apiClient, query, { cursor });
+    data[connection].nodes
+      .filter(node => node.creditLedger)
+      .forEach(node => ids.push(getId(node)));
+    cursor = data[connection].pageInfo.hasNextPage ? data[connection].pageInfo.endCursor : null;
+  } while (cursor);
+
+  return ids;
+}
+
+/**
+ * Get the last moment of a shop-local date
+ */
+function getEndOfDay(dateKey, timeZone) {
+  return new Date(new Date(getDayStart(getNextDateKey(dateKey), timeZone)).getTime() - 1);
+}
+
+async function readRolloverState(path) {
+  try {
+    return JSON.parse(await readFile(path, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,210 @@
+/**
+ * Webhook HTTP Server
+ *
+ * Receives HMAC-signed webhook deliveries on /webhooks/<topic> and, given an API key, serves the
+ * embedded admin app's /api/ routes.
+ */
+
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { createServer } from 'node:http';
+import { adjustCustomerCredits, InvalidAdjustmentError } from './adjustments.js';
+import { isAllowedShop } from './admin-client.js';
+import { verifyWebhookHmac } from './hmac.js';
+import { webhookHandlers } from './index.js';
+import { getCustomerCredits } from './metafields.js';
+import { getBearerToken, verifySessionToken } from './session-token.js';
+
+const WEBHOOK_PATH_PREFIX = '/webhooks/';
+const CREDIT_API_PATH = /^\/api\/(customers|companies|company-locations)\/(\d+)\/(credits|adjustments)$/;
+
+// Credit owners of the admin API routes, with how their GraphQL IDs are built
+const CREDIT_OWNER_TYPES = {
+  customers: id => id,
+  companies: id => `gid://shopify/Company/${id}`,
+  'company-locations': id => `gid://shopify/CompanyLocation/${id}`
+};
+
+// Largest webhook body accepted; Shopify's order payloads are well under this
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Create the webhook HTTP server
+ *
+ * `getApiClient(shop)` returns the GraphQL Admin API client to hand to handlers for a shop domain,
+ * and `queue` is an optional retry queue from createRetryQueue. `shop` is the shop the app is
+ * configured for; without it any *.myshopify.com shop is served. `apiKey` is the app's API key,
+ * which turns on the admin API, and `metricsToken` the bearer token GET /metrics requires. The
+ * server is returned unstarted; call `listen` on it.
+ */
+export function createWebhookServer({ secret, getApiClient, handlers = webhookHandlers, queue = null, getMetrics = null, metricsToken = null, apiKey = null, shop: configuredShop = null }) {
+  if (!secret) {
+    throw new Error('A webhook secret is required to verify webhook signatures');
+  }
+
+  return createServer(async (request, response) => {
+    try {
+      const url = new URL(request.url, 'http://localhost');
+
+      if (request.method === 'GET' && url.pathname === '/metrics' && getMetrics && metricsToken) {
+        if (!isTokenMatch(getBearerToken(request), metricsToken)) {
+          return respond(response, 401, 'Invalid metrics token');
+        }
+
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+        return response.end(JSON.stringify(await getMetrics()));
+      }
+
+      if (url.pathname.startsWith('/api/') && apiKey) {
+        return await handleAdminRequest(request, response, url, { apiKey, secret, getApiClient, configuredShop });
+      }
+
+      if (request.method !== 'POST' || !url.pathname.startsWith(WEBHOOK_PATH_PREFIX)) {
+        return respond(response, 404, 'Not found');
+      }
+
+      const rawBody = await readBody(request);
+
+      if (!verifyWebhookHmac(rawBody, request.headers['x-shopify-hmac-sha256'], secret)) {
+        console.log(`Rejected webhook to ${url.pathname} with an invalid signature`);
+        return respond(response, 401, 'Invalid webhook signature');
+      }
+
+      const topic = url.pathname.slice(WEBHOOK_PATH_PREFIX.length);
+      const handler = handlers[topic];
+
+      if (!handler) {
+        return respond(response, 404, `No handler for webhook topic ${topic}`);
+      }
+
+      const shop = request.headers['x-shopify-shop-domain'];
+
+      if (!isAllowedShop(shop, configuredShop)) {
+        console.log(`Rejected webhook to ${url.pathname} for unknown shop ${shop}`);
+        return respond(response, 401, 'Unknown shop');
+      }
+
+      const body = rawBody.toString('utf8');
+
+      try {
+        await handler(topic, shop, body, await getApiClient(shop));
+      } catch (error) {
+        if (!queue) {
+          throw error;
+        }
+
+        const job = await queue.enqueue({ topic, shop, body }, error);
+        return respond(response, 202, `Queued for retry as job ${job.id}`);
+      }
+
+      respond(response, 200, 'OK');
+    } catch (error) {
+      console.error('Error handling webhook request:', error);
+      respond(response, error.statusCode || 500, error.statusCode ? error.message : 'Internal server error');
+    }
+  });
+}
+
+/**
+ * Answer a request from the embedded admin app on behalf of the staff member in its session token
+ */
+async function handleAdminRequest(request, response, url, { apiKey, secret, getApiClient, configuredShop }) {
+  const session = verifySessionToken(getBearerToken(request), { apiKey, secret });
+
+  if (!session || !isAllowedShop(session.shop, configuredShop)) {
+    return respondJson(response, 401, { error: 'Invalid session token' });
+  }
+
+  const match = CREDIT_API_PATH.exec(url.pathname);
+  const route = match && `${request.method} ${match[3]}`;
+
+  if (route !== 'GET credits' && route !== 'POST adjustments') {
+    return respondJson(response, 404, { error: 'Not found' });
+  }
+
+  const customerId = CREDIT_OWNER_TYPES[match[1]](match[2]);
+  const apiClient = await getApiClient(session.shop);
+
+  if (route === 'GET credits') {
+    const state = await getCustomerCredits(apiClient, customerId);
+
+    if (!state) {
+      return respondJson(response, 404, { error: `${match[1]}/${match[2]} not found` });
+    }
+
+    return respondJson(response, 200, {
+      customerId,
+      currency: state.ledger.currency,
+      availableBalance: state.availableBalance,
+      pendingBalance: state.pendingBalance,
+      entries: state.ledger.entries
+    });
+  }
+
+  let adjustment;
+  try {
+    adjustment = JSON.parse((await readBody(request)).toString('utf8'));
+  } catch (error) {
+    return respondJson(response, 400, { error: 'Request body must be JSON' });
+  }
+
+  try {
+    // The staff member comes from the session token, never from the request body
+    const result = await adjustCustomerCredits(apiClient, customerId, { ...adjustment, staffId: session.staffId });
+
+    if (!result) {
+      return respondJson(response, 404, { error: `${match[1]}/${match[2]} not found` });
+    }
+
+    respondJson(response, result.duplicate ? 200 : 201, result);
+  } catch (error) {
+    if (!(error instanceof InvalidAdjustmentError)) {
+      throw error;
+    }
+
+    respondJson(response, 400, { error: error.message, errors: error.errors });
+  }
+}
+
+/**
+ * Read a request body into a buffer, refusing bodies over MAX_BODY_BYTES
+ */
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    request.on('data', chunk => {
+      size += chunk.length;
+
+      if (size > MAX_BODY_BYTES) {
+        const error = new Error('Webhook body too large');
+        error.statusCode = 413;
+        reject(error);
+        request.destroy();
+        return;
+      }
+
+      chunks.push(chunk);
+    });
+    request.on('end', () => resolve(Buffer.concat(chunks)));
+    request.on('error', reject);
+  });
+}
+
+function respond(response, statusCode, message) {
+  response.writeHead(statusCode, { 'Content-Type': 'text/plain' });
+  response.end(message);
+}
+
+function respondJson(response, statusCode, body) {
+  response.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body));
+}
+
+/**
+ * Compare a bearer token with the expected one in constant time, whatever their lengths
+ */
+function isTokenMatch(token, expected) {
+  const digest = value => createHash('sha256').update(String(value)).digest();
+  return Boolean(token) && timingSafeEqual(digest(token), digest(expected));
+}
@@ -0,0 +1,68 @@
+/**
+ * App Bridge Session Tokens
+ *
+ * Requests from the embedded admin app carry an App Bridge session token in their Authorization
+ * header ("Bearer <token>"). The token is a JWT signed with HS256 using the app's API secret. Its
+ * `aud` is the app's API key, `dest` the shop's URL and `sub` the ID of the staff member using the
+ * app, so the shop and the acting staff member come from the token rather than from the request.
+ */
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+// Leeway for clock drift between Shopify and this server when checking exp and nbf
+const CLOCK_TOLERANCE_SECONDS = 10;
+
+/**
+ * Verify a session token, returning `{ shop, staffId }` or null when it is not valid
+ */
+export function verifySessionToken(token, { apiKey, secret, now = new Date() }) {
+  const parts = String(token || '').split('.');
+
+  if (parts.length !== 3 || !apiKey || !secret) {
+    return null;
+  }
+
+  const [header, payload, signature] = parts;
+  const expected = createHmac('sha256', secret).update(`${header}.${payload}`).digest();
+  const received = Buffer.from(signature, 'base64url');
+
+  if (expected.length !== received.length || !timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  let claims;
+  try {
+    if (JSON.parse(Buffer.from(header, 'base64url').toString('utf8')).alg !== 'HS256') {
+      return null;
+    }
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')) || {};
+  } catch (error) {
+    return null;
+  }
+
+  const seconds = Math.floor(new Date(now).getTime() / 1000);
+
+  if (!Number.isFinite(claims.exp) || claims.exp + CLOCK_TOLERANCE_SECONDS < seconds) {
+    return null;
+  }
+
+  if (Number.isFinite(claims.nbf) && claims.nbf - CLOCK_TOLERANCE_SECONDS > seconds) {
+    return null;
+  }
+
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+  if (!audiences.includes(apiKey) || !URL.canParse(claims.dest) || !claims.sub) {
+    return null;
+  }
+
+  return { shop: new URL(claims.dest).hostname, staffId: String(claims.sub) };
+}
+
+/**
+ * Get the session token from a request's Authorization header
+ */
+export function getBearerToken(request) {
+  const match = /^Bearer (.+)$/i.exec(request.headers.authorization || '');
+  return match ? match[1] : null;
+}
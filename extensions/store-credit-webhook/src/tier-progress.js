@@ -0,0 +1,28 @@
+/**
+ * Tier Progress
+ *
+ * How far a customer's spend this month is from the next rebate tier, kept in the tier_progress
+ * metafield for the storefront's progress meter.
+ */
+
+import { calculateEarnedCredits, getTier } from './credits.js';
+
+/**
+ * Build the tier progress of a month from the customer's credit state
+ */
+export function getTierProgress(state, monthKey) {
+  const { tiers } = state.config;
+  const monthRevenue = parseFloat(state.revenueData[monthKey]) || 0;
+  const currentTier = getTier(monthRevenue, tiers);
+  const nextTier = tiers.find(tier => tier.threshold > monthRevenue) || null;
+
+  return {
+    month: monthKey,
+    monthRevenue: monthRevenue.toFixed(2),
+    currentTier,
+    nextTier,
+    amountRemaining: (nextTier ? nextTier.threshold - monthRevenue : 0).toFixed(2),
+    projectedRebate: calculateEarnedCredits(monthRevenue, tiers).toFixed(2),
+    currency: state.ledger.currency
+  };
+}
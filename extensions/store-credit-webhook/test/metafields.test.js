@@ -0,0 +1,84 @@
+/**
+ * Tests of the compare-and-swap credit writes in metafields.js
+ */
+
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { StaleMetafieldError, updateCustomerCredits } from '../src/metafields.js';
+import { createMockAdminApi } from '../src/mock-admin-api.js';
+
+const CUSTOMER_ID = '7001';
+
+function createStore(metafields = {}) {
+  return { customers: { [CUSTOMER_ID]: { email: 'tom@example.com', metafields } } };
+}
+
+/**
+ * Add revenue the way another webhook for the same customer would, in a write of its own
+ */
+function addRevenue(apiClient, amount) {
+  return updateCustomerCredits(apiClient, CUSTOMER_ID, state => {
+    state.totalRevenue += amount;
+  });
+}
+
+test('reads again and reruns the update when the metafields changed since they were read', async () => {
+  const store = createStore({ revenu: { type: 'number_decimal', value: '100.00' } });
+  const apiClient = createMockAdminApi(store);
+  let runs = 0;
+
+  await updateCustomerCredits(apiClient, CUSTOMER_ID, async state => {
+    if (++runs === 1) {
+      await addRevenue(apiClient, 200);
+    }
+    state.totalRevenue += 50;
+  });
+
+  assert.equal(runs, 2);
+  assert.equal(store.customers[CUSTOMER_ID].metafields.revenu.value, '350.00');
+});
+
+test('reruns the update when a metafield it creates was created concurrently', async () => {
+  const store = createStore();
+  const apiClient = createMockAdminApi(store);
+  let runs = 0;
+
+  await updateCustomerCredits(apiClient, CUSTOMER_ID, async state => {
+    if (++runs === 1) {
+      await addRevenue(apiClient, 200);
+    }
+    state.totalRevenue += 50;
+  });
+
+  assert.equal(runs, 2);
+  assert.equal(store.customers[CUSTOMER_ID].metafields.revenu.value, '250.00');
+});
+
+test('gives up on a write that keeps losing the race', async () => {
+  const store = createStore({ revenu: { type: 'number_decimal', value: '100.00' } });
+  const apiClient = createMockAdminApi(store);
+  let runs = 0;
+
+  await assert.rejects(updateCustomerCredits(apiClient, CUSTOMER_ID, async state => {
+    runs++;
+    await addRevenue(apiClient, 1);
+    state.totalRevenue += 50;
+  }), StaleMetafieldError);
+
+  assert.equal(runs, 5);
+  assert.equal(store.customers[CUSTOMER_ID].metafields.revenu.value, '105.00');
+});
+
+test('writes nothing when the update returns false', async () => {
+  const store = createStore({ revenu: { type: 'number_decimal', value: '100.00' } });
+  const apiClient = createMockAdminApi(store);
+
+  const result = await updateCustomerCredits(apiClient, CUSTOMER_ID, state => {
+    state.totalRevenue += 50;
+    return false;
+  });
+
+  assert.equal(result, false);
+  assert.deepEqual(Object.keys(store.customers[CUSTOMER_ID].metafields), ['revenu']);
+  assert.equal(store.customers[CUSTOMER_ID].metafields.revenu.value, '100.00');
+});
@@ -0,0 +1,107 @@
+/**
+ * Tests of the customer notifications worked out and sent by notifications.js
+ */
+
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { DEFAULT_CONFIG } from '../src/config.js';
+import { createNotifier, getNotificationEvents } from '../src/notifications.js';
+
+const AS_OF = '2025-03-20T12:00:00-04:00';
+
+/**
+ * Build a customer's credit state from ledger entries, with the fields notifications look at
+ */
+function createState({ entries = [], revenueData = {}, availableBalance = 0, pendingBalance = 0, optOut = false }) {
+  return {
+    customer: { id: '7001', email: 'tom@example.com', firstName: 'Tom' },
+    config: DEFAULT_CONFIG,
+    ledger: { entries, currency: 'USD' },
+    revenueData,
+    availableBalance,
+    pendingBalance,
+    notificationsOptOut: optOut
+  };
+}
+
+function earnEntry(id, orderId, amount, details = {}) {
+  return {
+    id,
+    type: 'earn',
+    amount,
+    orderId,
+    month: '2025-03',
+    createdAt: '2025-03-18T10:00:00-04:00',
+    availableAt: '2025-04-01T00:00:00-04:00',
+    ...details
+  };
+}
+
+test('tells an order\'s tier and campaign credits as one amount, and the tier it reached', () => {
+  const firstOrder = earnEntry('earn:5101', '5101', '0.00');
+  const previous = createState({ entries: [firstOrder], revenueData: { '2025-03': '6000.00' } });
+  const state = createState({
+    entries: [
+      firstOrder,
+      earnEntry('earn:5102', '5102', '220.00'),
+      earnEntry('earn:5102:campaign:spring-bonus', '5102', '50.00', { campaign: 'spring-bonus' })
+    ],
+    revenueData: { '2025-03': '11000.00' },
+    pendingBalance: 270
+  });
+
+  assert.deepEqual(getNotificationEvents(previous, state, AS_OF), [
+    { type: 'credits-earned', orderId: '5102', month: '2025-03', amount: 270, availableAt: '2025-04-01T00:00:00-04:00' },
+    { type: 'tier-reached', month: '2025-03', tier: DEFAULT_CONFIG.tiers[1], previousTier: DEFAULT_CONFIG.tiers[0] }
+  ]);
+});
+
+test('tells credits that became available with time, but not new credits already available', () => {
+  const entries = [earnEntry('earn:5001', '5001', '230.00', { month: '2025-01', availableAt: '2025-02-01T00:00:00-05:00' })];
+  const previous = createState({ entries, availableBalance: 0, pendingBalance: 230 });
+  const state = createState({
+    entries: [...entries, { id: 'adjust:goodwill', type: 'adjust', amount: '25.00', availableAt: AS_OF }],
+    availableBalance: 255
+  });
+
+  assert.deepEqual(getNotificationEvents(previous, state, AS_OF), [
+    { type: 'credits-available', amount: 230, availableBalance: 255 }
+  ]);
+});
+
+test('tells nothing about available credits to customers written before the balance was stored', () => {
+  const previous = createState({ availableBalance: null });
+  const state = createState({ availableBalance: 230 });
+
+  assert.deepEqual(getNotificationEvents(previous, state, AS_OF), []);
+});
+
+test('tells a customer whose refund took their month below its tier', () => {
+  const entries = [earnEntry('earn:5001', '5001', '240.00')];
+  const previous = createState({ entries, revenueData: { '2025-03': '12000.00' } });
+  const state = createState({
+    entries: [...entries, { id: 'reverse:refund:8001', type: 'reverse', amount: '-240.00', orderId: '5001', month: '2025-03' }],
+    revenueData: { '2025-03': '9000.00' }
+  });
+
+  assert.deepEqual(getNotificationEvents(previous, state, AS_OF), [
+    { type: 'tier-lost', month: '2025-03', tier: DEFAULT_CONFIG.tiers[0], previousTier: DEFAULT_CONFIG.tiers[1] }
+  ]);
+});
+
+test('renders each event from its template and skips customers who opted out', async () => {
+  const sent = [];
+  const notifier = createNotifier({ transport: { send: async message => sent.push(message) }, from: 'Credits <credits@example.com>' });
+  const event = { type: 'credits-earned', orderId: '5102', month: '2025-03', amount: 270, availableAt: '2025-04-01T00:00:00-04:00' };
+
+  assert.equal(await notifier.notify(createState({ availableBalance: 100, pendingBalance: 270 }), [event]), 1);
+  assert.equal(await notifier.notify(createState({ optOut: true }), [event]), 0);
+
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].from, 'Credits <credits@example.com>');
+  assert.equal(sent[0].to, 'tom@example.com');
+  assert.equal(sent[0].subject, 'You earned $270.00 in store credits');
+  assert.match(sent[0].text, /^Hi Tom,/);
+  assert.match(sent[0].text, /Your order 5102 earned you \$270\.00 in store credits for March 2025\. They become available to spend on April 1, 2025\./);
+  assert.match(sent[0].text, /Available to spend now: \$100\.00/);
+});
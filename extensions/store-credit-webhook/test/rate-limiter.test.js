@@ -0,0 +1,93 @@
+/**
+ * Tests of the per-shop request queue in rate-limiter.js
+ */
+
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { createRateLimiter } from '../src/rate-limiter.js';
+
+const SHOP = 'example.myshopify.com';
+const QUERY = 'query ShopName { shop { name } }';
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Let the requests sent so far reach the Admin API client, then release them round by round
+ * until none are left in flight
+ */
+async function releaseAll(apiClient) {
+  await settle();
+
+  while (apiClient.held.length > 0) {
+    apiClient.held.splice(0).forEach(release => release());
+    await settle();
+  }
+}
+
+/**
+ * Create an Admin API client whose requests stay in flight until released, counting how many run
+ * at once
+ */
+function createHeldApiClient() {
+  const held = [];
+  const counts = { running: 0, peak: 0 };
+
+  return {
+    counts,
+    held,
+    query() {
+      counts.running++;
+      counts.peak = Math.max(counts.peak, counts.running);
+
+      return new Promise(resolve => held.push(() => {
+        counts.running--;
+        resolve({ body: { data: { shop: { name: 'Example' } } } });
+      }));
+    }
+  };
+}
+
+test('runs no more requests for a shop at once than maxConcurrency', async () => {
+  const apiClient = createHeldApiClient();
+  const client = createRateLimiter({ maxConcurrency: 2 }).wrap(SHOP, apiClient);
+  const requests = [];
+  let followUps = 6;
+
+  // Each finished request sends another, the way a handler's next call follows its last one, so
+  // new requests arrive just as slots are freed for the queued ones
+  const send = () => {
+    requests.push(client.query({ data: { query: QUERY } }).then(() => {
+      if (followUps-- > 0) {
+        send();
+      }
+    }));
+  };
+
+  for (let index = 0; index < 5; index++) {
+    send();
+  }
+
+  await releaseAll(apiClient);
+  await Promise.all(requests);
+
+  assert.equal(requests.length, 11);
+  assert.equal(apiClient.counts.peak, 2);
+});
+
+test('queues requests per shop', async () => {
+  const apiClient = createHeldApiClient();
+  const limiter = createRateLimiter({ maxConcurrency: 1 });
+  const requests = [
+    limiter.wrap(SHOP, apiClient).query({ data: { query: QUERY } }),
+    limiter.wrap(SHOP, apiClient).query({ data: { query: QUERY } }),
+    limiter.wrap('other.myshopify.com', apiClient).query({ data: { query: QUERY } })
+  ];
+
+  await settle();
+  assert.equal(apiClient.counts.running, 2);
+  assert.equal(limiter.getMetrics()[SHOP].waiting, 1);
+
+  await releaseAll(apiClient);
+  await Promise.all(requests);
+  assert.equal(limiter.getMetrics()[SHOP].maxQueued, 1);
+});
@@ -4,8 +4,15 @@
  * Rules:
  * 1. Customers can only use credits up to 20% of their purchase
  * 2. Credits obtained in the current month can only be used in the following months
- * 3. Points never expire
+ * 3. Points never expire, unless the credit program sets an expiry (expiryMonths)
  * 4. Discount applies on checkout
+ *
+ * Credits are held in the shop currency. They are shown converted to the currency the customer is
+ * browsing in, and sent to checkout in shop currency.
+ *
+ * When the program pools B2B credits and the customer is buying for a company, the credits shown
+ * and spent are the company's or company location's (window.storeCreditPool, from theme.liquid),
+ * and the company's permissions decide whether this customer may redeem them.
  */
 
 class StoreCreditManager {
@@ -52,6 +59,11 @@ class StoreCreditManager {
   async fetchCustomerMetafields() {
     if (!this.customerId) return;
 
+    if (window.storeCreditPool) {
+      this.loadPoolMetafields(window.storeCreditPool);
+      return;
+    }
+
     try {
       const response = await fetch(`/api/2024-01/graphql.json`, {
         method: 'POST',
@@ -63,7 +75,7 @@ class StoreCreditManager {
           query: `
             query GetCustomerMetafields($customerId: ID!) {
               customer(id: $customerId) {
-                metafields(first: 10, namespace: "custom") {
+                metafields(first: 20, namespace: "custom") {
                   edges {
                     node {
                       key
@@ -89,12 +101,45 @@ class StoreCreditManager {
         });
         
         this.updateCreditDisplay();
+        this.updateTierProgressDisplay();
       }
     } catch (error) {
       console.error('Error fetching customer metafields:', error);
     }
   }
 
+  /**
+   * Use the credit metafields of the company or company location the customer is buying for
+   */
+  loadPoolMetafields(pool) {
+    this.customerMetafields = {};
+    Object.entries(pool.metafields || {}).forEach(([key, value]) => {
+      // Metafields the pool doesn't have yet are written as null, or "null" for JSON values
+      if (value !== null && value !== 'null') {
+        this.customerMetafields[key] = String(value);
+      }
+    });
+
+    this.updateCreditDisplay();
+    this.updateTierProgressDisplay();
+  }
+
+  /**
+   * Check whether the customer may spend their credits: always their own, and pooled credits when
+   * the company's permissions allow it
+   */
+  canRedeemCredits() {
+    const pool = window.storeCreditPool;
+    if (!pool || !pool.permissions) return true;
+
+    if (pool.permissions.redemption === 'selected') {
+      return (pool.permissions.customerIds || [])
+        .some(customerId => String(customerId).split('/').pop() === String(this.customerId));
+    }
+
+    return pool.permissions.redemption !== 'none';
+  }
+
   /**
    * Set up event listeners for checkout and other relevant actions
    */
@@ -116,7 +161,7 @@ class StoreCreditManager {
    * Handle the checkout process
    */
   async handleCheckout(event) {
-    if (!this.customerId || !this.customerMetafields) return;
+    if (!this.customerId || !this.customerMetafields || !this.canRedeemCredits()) return;
 
     try {
       // Get current cart
@@ -126,8 +171,9 @@ class StoreCreditManager {
       // Calculate available credits
       const availableCredits = this.calculateAvailableCredits();
       
-      // Calculate maximum credits that can be used (20% of cart total)
-      const maxCreditsForOrder = cart.total_price * 0.2 / 100; // Convert to dollars
+      // Calculate maximum credits that can be used (20% of cart total by default).
+      // The cart total is in cents of the active currency; credits are in shop currency.
+      const maxCreditsForOrder = cart.total_price * this.getRedemptionCapPercentage() / 100 / 100 / this.getCurrencyRate();
       
       // Determine credits to use (minimum of available credits and max allowed)
       const creditsToUse = Math.min(availableCredits, maxCreditsForOrder);
@@ -146,11 +192,29 @@ class StoreCreditManager {
    * Credits from current month cannot be used
    */
   calculateAvailableCredits() {
-    if (!this.customerMetafields || !this.customerMetafields.rebate) {
+    if (!this.customerMetafields) {
       return 0;
     }
 
     try {
+      // available_balance is written by the webhook on every change and each month's rollover
+      if (this.customerMetafields.available_balance) {
+        return parseFloat(this.customerMetafields.available_balance) || 0;
+      }
+
+      // Ledger entries count once their availability date has passed
+      const ledger = this.getCreditLedger();
+      if (ledger) {
+        return ledger.entries
+          .filter(entry => new Date(entry.availableAt) <= this.currentDate)
+          .reduce((total, entry) => total + parseFloat(entry.amount), 0);
+      }
+
+      if (!this.customerMetafields.rebate) {
+        return 0;
+      }
+
+      // Customers not yet migrated to the ledger still have the legacy month map
       const rebateData = JSON.parse(this.customerMetafields.rebate);
       let availableCredits = 0;
       const currentMonth = this.currentDate.getMonth();
@@ -173,6 +237,45 @@ class StoreCreditManager {
     }
   }
 
+  /**
+   * Get the share of the cart total that can be paid with credits, from the credit program configuration
+   */
+  getRedemptionCapPercentage() {
+    const config = window.storeCreditConfig || {};
+    return typeof config.redemptionCapPercentage === 'number' ? config.redemptionCapPercentage : 20;
+  }
+
+  /**
+   * Get the rate from the shop currency to the currency the customer is browsing in
+   */
+  getCurrencyRate() {
+    const currency = window.Shopify && Shopify.currency;
+    return (currency && parseFloat(currency.rate)) || 1;
+  }
+
+  /**
+   * Format an amount of credits, held in shop currency, in the currency the customer is browsing in
+   */
+  formatCredits(amount) {
+    const currency = (window.Shopify && Shopify.currency && Shopify.currency.active) || 'USD';
+
+    return new Intl.NumberFormat(document.documentElement.lang || undefined, {
+      style: 'currency',
+      currency
+    }).format(amount * this.getCurrencyRate());
+  }
+
+  /**
+   * Parse the customer's credit ledger metafield, if they have one
+   */
+  getCreditLedger() {
+    if (!this.customerMetafields || !this.customerMetafields.credit_ledger) {
+      return null;
+    }
+
+    return JSON.parse(this.customerMetafields.credit_ledger);
+  }
+
   /**
    * Apply credits to checkout
    */
@@ -192,9 +295,7 @@ class StoreCreditManager {
         })
       });
 
-      // Update customer metafields to reflect used credits
-      await this.updateUsedCredits(creditsToUse);
-      
+      // The order webhook debits the redeemed credits once the order is placed
       return await response.json();
     } catch (error) {
       console.error('Error applying credits to checkout:', error);
@@ -202,51 +303,107 @@ class StoreCreditManager {
   }
 
   /**
-   * Update customer metafields after credits are used
+   * Update the display of available credits on the page
+   */
+  updateCreditDisplay() {
+    const creditDisplayElements = document.querySelectorAll('.store-credit-display');
+    if (creditDisplayElements.length === 0) return;
+
+    const availableCredits = this.calculateAvailableCredits();
+    const pool = window.storeCreditPool;
+    const label = pool ? `${pool.name} Store Credits` : 'Store Credits';
+    const redemptionNote = this.canRedeemCredits() ? '' : ' (your company hasn\'t enabled you to redeem them)';
+    
+    creditDisplayElements.forEach(element => {
+      // A negative balance is credits taken back by a refund after they were spent
+      element.textContent = availableCredits < 0
+        ? `${label} Owed: ${this.formatCredits(-availableCredits)} (paid off by your next credits)`
+        : `Available ${label}: ${this.formatCredits(availableCredits)}${redemptionNote}`;
+    });
+  }
+
+  /**
+   * Get the customer's progress towards the next tier this month, as written by the webhook
+   */
+  getTierProgress() {
+    if (!this.customerMetafields || !this.customerMetafields.tier_progress) {
+      return null;
+    }
+
+    return JSON.parse(this.customerMetafields.tier_progress);
+  }
+
+  /**
+   * Fill in the tier progress meters on the page (the store-credit-tier-progress snippet)
    */
-  async updateUsedCredits(creditsUsed) {
-    if (!this.customerId || !this.customerMetafields) return;
+  updateTierProgressDisplay() {
+    const meters = document.querySelectorAll('.store-credit-tier-progress');
+    if (meters.length === 0) return;
 
     try {
-      // This would typically be handled by a server-side app
-      // For demonstration, we're showing the structure
-      const rebateData = JSON.parse(this.customerMetafields.rebate);
-      
-      // Deduct credits from oldest months first
-      let remainingToDeduct = creditsUsed;
-      const sortedMonths = Object.keys(rebateData).sort();
-      
-      for (const month of sortedMonths) {
-        const monthCredits = parseFloat(rebateData[month]);
-        if (remainingToDeduct <= 0) break;
-        
-        if (monthCredits > 0) {
-          const deduction = Math.min(monthCredits, remainingToDeduct);
-          rebateData[month] = (monthCredits - deduction).toFixed(2);
-          remainingToDeduct -= deduction;
+      const progress = this.getTierProgress();
+      if (!progress) return;
+
+      const monthRevenue = parseFloat(progress.monthRevenue);
+      const nextTier = progress.nextTier;
+      // The meter fills from no spend to the next tier's threshold
+      const percentComplete = nextTier ? Math.min(100, monthRevenue / nextTier.threshold * 100) : 100;
+
+      meters.forEach(meter => {
+        const compact = meter.classList.contains('store-credit-tier-progress--compact');
+        const bar = meter.querySelector('.store-credit-tier-progress__bar');
+        const text = meter.querySelector('.store-credit-tier-progress__text');
+
+        if (bar) {
+          bar.style.width = `${percentComplete.toFixed(1)}%`;
+          bar.parentElement.setAttribute('aria-valuenow', percentComplete.toFixed(0));
         }
-      }
-      
-      // In a real implementation, this would call a server endpoint to update the metafield
-      console.log('Credits used:', creditsUsed);
-      console.log('Updated rebate data:', rebateData);
+
+        if (!text) return;
+
+        if (!nextTier) {
+          text.textContent = compact
+            ? `${progress.currentTier.percentage}% back this month`
+            : `You've reached the top tier: your spend this month earns ${progress.currentTier.percentage}% back, ${this.formatCredits(parseFloat(progress.projectedRebate))} so far.`;
+        } else if (compact) {
+          text.textContent = `${this.formatCredits(parseFloat(progress.amountRemaining))} to ${nextTier.percentage}% back`;
+        } else {
+          text.textContent = `You've spent ${this.formatCredits(monthRevenue)} this month. ` +
+            `Spend ${this.formatCredits(parseFloat(progress.amountRemaining))} more to earn ${nextTier.percentage}% back on the whole month. ` +
+            `At your current spend you'll earn ${this.formatCredits(parseFloat(progress.projectedRebate))} in credits.`;
+        }
+
+        meter.hidden = false;
+      });
     } catch (error) {
-      console.error('Error updating used credits:', error);
+      console.error('Error displaying tier progress:', error);
     }
   }
 
   /**
-   * Update the display of available credits on the page
+   * List the credits that are due to expire on the account page, when the program has credits expire
+   *
+   * The webhook writes what is left to expire, oldest credits used first, to credit_expirations.
    */
-  updateCreditDisplay() {
-    const creditDisplayElements = document.querySelectorAll('.store-credit-display');
-    if (creditDisplayElements.length === 0) return;
+  displayUpcomingExpirations() {
+    const container = document.querySelector('.store-credit-expirations');
+    const config = window.storeCreditConfig || {};
 
-    const availableCredits = this.calculateAvailableCredits();
-    
-    creditDisplayElements.forEach(element => {
-      element.textContent = `Available Store Credits: $${availableCredits.toFixed(2)}`;
+    if (!container || !config.expiryMonths || !this.customerMetafields.credit_expirations) return;
+
+    const expirations = JSON.parse(this.customerMetafields.credit_expirations)
+      .filter(expiration => new Date(expiration.expiresAt) > this.currentDate);
+    if (expirations.length === 0) return;
+
+    const list = container.querySelector('ul');
+    list.innerHTML = '';
+    expirations.forEach(expiration => {
+      const item = document.createElement('li');
+      item.textContent = `${this.formatCredits(parseFloat(expiration.amount))} expire on ${new Date(expiration.expiresAt).toLocaleDateString()}`;
+      list.appendChild(item);
     });
+
+    container.hidden = false;
   }
 
   /**
@@ -260,54 +417,50 @@ class StoreCreditManager {
     if (!historyTableBody || !this.customerMetafields) return;
 
     try {
-      // Get rebate and revenue data
-      const rebateData = this.customerMetafields.rebate ? JSON.parse(this.customerMetafields.rebate) : {};
-      const revenueData = this.customerMetafields.revenu_track ? JSON.parse(this.customerMetafields.revenu_track) : {};
-      
-      // Create sorted list of months
-      const allMonths = new Set([...Object.keys(rebateData), ...Object.keys(revenueData)]);
-      const sortedMonths = Array.from(allMonths).sort().reverse(); // Most recent first
+      const ledger = this.getCreditLedger();
+      // Most recent first, leaving out entries that moved no credits (orders of excluded products)
+      const entries = ledger
+        ? ledger.entries.filter(entry => parseFloat(entry.amount) !== 0).reverse()
+        : [];
       
       // Clear existing rows
       historyTableBody.innerHTML = '';
       
-      if (sortedMonths.length === 0) {
+      if (entries.length === 0) {
         // No history yet
         const noDataRow = document.createElement('tr');
-        noDataRow.innerHTML = `<td colspan="4">No credit history available yet.</td>`;
+        noDataRow.innerHTML = `<td colspan="5">No credit history available yet.</td>`;
         historyTableBody.appendChild(noDataRow);
       } else {
-        // Calculate cumulative available credits
-        let cumulativeCredits = 0;
-        const currentMonth = this.currentDate.getMonth();
-        const currentYear = this.currentDate.getFullYear();
-        
-        // Add rows for each month
-        sortedMonths.forEach(yearMonth => {
-          const [year, month] = yearMonth.split('-').map(Number);
-          const monthNames = [
-            'January', 'February', 'March', 'April', 'May', 'June',
-            'July', 'August', 'September', 'October', 'November', 'December'
-          ];
-          
-          const monthName = `${monthNames[month]} ${year}`;
-          const revenue = revenueData[yearMonth] ? parseFloat(revenueData[yearMonth]) : 0;
-          const creditsEarned = rebateData[yearMonth] ? parseFloat(rebateData[yearMonth]) : 0;
-          
-          // Credits are only available if from a previous month
-          const isAvailable = (year < currentYear || (year === currentYear && month < currentMonth));
-          if (isAvailable) {
-            cumulativeCredits += creditsEarned;
-          }
+        const activityLabels = {
+          earn: 'Earned',
+          redeem: 'Redeemed',
+          reverse: 'Reversed (refund or cancellation)',
+          adjust: 'Adjustment',
+          expire: 'Expired',
+          'write-off': 'Written off'
+        };
+
+        // Add a row for each ledger entry
+        entries.forEach(entry => {
+          const amount = parseFloat(entry.amount);
+          const availableAt = new Date(entry.availableAt);
+          const isAvailable = availableAt <= this.currentDate;
           
+          // Cells are filled with textContent, since campaign names are free text from the program configuration
           const row = document.createElement('tr');
-          row.innerHTML = `
-            <td>${monthName}</td>
-            <td>$${revenue.toFixed(2)}</td>
-            <td>$${creditsEarned.toFixed(2)}</td>
-            <td>${isAvailable ? '$' + creditsEarned.toFixed(2) : 'Available next month'}</td>
-          `;
-          
+          [
+            new Date(entry.createdAt).toLocaleDateString(),
+            `${activityLabels[entry.type] || entry.type}${entry.campaignName ? ' (' + entry.campaignName + ')' : ''}`,
+            entry.orderId ? '#' + entry.orderId : '',
+            this.formatCredits(amount),
+            isAvailable ? 'Available' : 'Available ' + availableAt.toLocaleDateString()
+          ].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+          });
+
           historyTableBody.appendChild(row);
         });
       }
@@ -315,6 +468,8 @@ class StoreCreditManager {
       // Hide loading, show table
       if (loadingElement) loadingElement.style.display = 'none';
       if (historyTable) historyTable.style.display = 'table';
+
+      this.displayUpcomingExpirations();
       
     } catch (error) {
       console.error('Error displaying credit history:', error);